@@ -0,0 +1,362 @@
+import * as THREE from "three";
+
+// Bones whose lowest points mark a hoof touching down
+const FOOT_PATTERN = /toeTip|hoof/i;
+// Concurrent one-shot voices; further hoof-falls in a crowded herd are dropped
+const MAX_VOICES = 24;
+
+const _position = new THREE.Vector3();
+
+// Fills a mono buffer with white noise, or brown noise when `brown` is set
+function createNoiseBuffer(context, seconds, brown = false) {
+  const length = Math.floor(context.sampleRate * seconds);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (brown) {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+  return buffer;
+}
+
+// Procedural sound for the scene, all synthesized so it works offline:
+// - hoof-falls, found by watching each deer's foot bones bottom out, and
+//   played through a panner that follows that deer
+// - an ambient bed of wind through the meadow with the odd cricket
+// - a shimmer tone on the lead deer whose pitch follows the hologram pulse
+//
+// Browsers only allow audio after a user gesture, so nothing is created until
+// the first pointer or key press on the page.
+export function createAudio({
+  camera,
+  volume = 0.8,
+  muted = false,
+  footPattern = FOOT_PATTERN,
+  referenceSpeed = 8,
+} = {}) {
+  let listener = null;
+  let context = null;
+  let noiseBuffer = null;
+  let ambient = null;
+  let shimmer = null;
+  let voices = 0;
+  let cricketTimer = 2 + Math.random() * 4;
+  // model -> { feet, positional, bus }
+  const tracked = new Map();
+
+  function findFeet(model) {
+    const feet = [];
+    model.traverse((child) => {
+      if (child.isBone && footPattern.test(child.name)) {
+        feet.push({
+          bone: child,
+          prevY: null,
+          min: 0,
+          max: 0,
+          falling: false,
+          armed: true,
+        });
+      }
+    });
+    return feet;
+  }
+
+  function createVoice(model, entry) {
+    entry.bus = context.createGain();
+    entry.positional = new THREE.PositionalAudio(listener);
+    entry.positional.setRefDistance(3);
+    entry.positional.setRolloffFactor(1.2);
+    entry.positional.setNodeSource(entry.bus);
+    model.add(entry.positional);
+  }
+
+  // Starts following a deer; `leader` also carries the shimmer tone
+  function track(model, { leader = false } = {}) {
+    if (tracked.has(model)) return;
+    const entry = {
+      feet: findFeet(model),
+      leader,
+      positional: null,
+      bus: null,
+    };
+    tracked.set(model, entry);
+    if (context) {
+      createVoice(model, entry);
+      if (leader) connectShimmer(entry);
+    }
+  }
+
+  function untrack(model) {
+    const entry = tracked.get(model);
+    if (!entry) return;
+    tracked.delete(model);
+    if (entry.positional) {
+      entry.positional.disconnect();
+      entry.positional.gain.disconnect();
+      model.remove(entry.positional);
+    }
+  }
+
+  // === Hoof-falls ===
+  function playHoof(bus, intensity) {
+    if (voices >= MAX_VOICES) return;
+    voices++;
+    const now = context.currentTime;
+
+    const noise = context.createBufferSource();
+    noise.buffer = noiseBuffer;
+    noise.playbackRate.value = 0.8 + Math.random() * 0.4;
+    const filter = context.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.frequency.value = 260 + Math.random() * 160;
+    filter.Q.value = 1.4;
+
+    const thump = context.createOscillator();
+    thump.frequency.setValueAtTime(120 + Math.random() * 20, now);
+    thump.frequency.exponentialRampToValueAtTime(45, now + 0.09);
+    const thumpGain = context.createGain();
+    thumpGain.gain.value = 0.8;
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, now);
+    envelope.gain.linearRampToValueAtTime(intensity, now + 0.004);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, now + 0.14);
+
+    noise.connect(filter).connect(envelope);
+    thump.connect(thumpGain).connect(envelope);
+    envelope.connect(bus);
+
+    noise.start(now, Math.random() * 0.5, 0.15);
+    thump.start(now);
+    thump.stop(now + 0.15);
+    thump.onended = () => {
+      voices--;
+      envelope.disconnect();
+    };
+  }
+
+  // A foot lands where its bone turns from falling to rising near the lowest
+  // height it has recently reached. The range adapts slowly, so the same test
+  // works for every gait and model scale.
+  function detectFootfalls(entry, delta, intensity) {
+    entry.feet.forEach((foot) => {
+      foot.bone.getWorldPosition(_position);
+      const y = _position.y;
+      if (foot.prevY === null) {
+        foot.prevY = foot.min = foot.max = y;
+        return;
+      }
+      const range = foot.max - foot.min;
+      foot.min = Math.min(y, foot.min + range * 0.2 * delta);
+      foot.max = Math.max(y, foot.max - range * 0.2 * delta);
+
+      // Re-arm once the foot has clearly lifted, so jitter at the bottom of
+      // a stride does not retrigger
+      if (y > foot.min + range * 0.5) foot.armed = true;
+      const falling = y < foot.prevY - 1e-4;
+      if (
+        foot.armed &&
+        foot.falling &&
+        !falling &&
+        range > 0.05 &&
+        y < foot.min + range * 0.3
+      ) {
+        foot.armed = false;
+        playHoof(entry.bus, intensity);
+      }
+      foot.falling = falling;
+      foot.prevY = y;
+    });
+  }
+
+  // === Ambient bed ===
+  function createAmbient() {
+    const output = context.createGain();
+    output.gain.value = 0.35;
+    output.connect(listener.getInput());
+
+    const wind = context.createBufferSource();
+    wind.buffer = createNoiseBuffer(context, 6, true);
+    wind.loop = true;
+    const windFilter = context.createBiquadFilter();
+    windFilter.type = "lowpass";
+    windFilter.frequency.value = 500;
+    windFilter.Q.value = 0.7;
+    // Slow gusts sweep the filter
+    const gust = context.createOscillator();
+    gust.frequency.value = 0.07;
+    const gustDepth = context.createGain();
+    gustDepth.gain.value = 260;
+    gust.connect(gustDepth).connect(windFilter.frequency);
+    wind.connect(windFilter).connect(output);
+    wind.start();
+    gust.start();
+
+    return { output, sources: [wind, gust] };
+  }
+
+  // A short run of high chirps, panned somewhere in the meadow
+  function playCricket() {
+    if (voices >= MAX_VOICES) return;
+    voices++;
+    const now = context.currentTime;
+    const pitch = 4200 + Math.random() * 900;
+    const chirps = 3 + Math.floor(Math.random() * 3);
+
+    const tone = context.createOscillator();
+    tone.frequency.value = pitch;
+    const envelope = context.createGain();
+    envelope.gain.value = 0;
+    for (let i = 0; i < chirps; i++) {
+      const start = now + i * 0.07;
+      envelope.gain.setValueAtTime(0, start);
+      envelope.gain.linearRampToValueAtTime(0.05, start + 0.01);
+      envelope.gain.linearRampToValueAtTime(0, start + 0.04);
+    }
+    const panner = context.createStereoPanner();
+    panner.pan.value = Math.random() * 1.6 - 0.8;
+
+    tone.connect(envelope).connect(panner).connect(ambient.output);
+    tone.start(now);
+    tone.stop(now + chirps * 0.07 + 0.05);
+    tone.onended = () => {
+      voices--;
+      panner.disconnect();
+    };
+  }
+
+  // === Shimmer ===
+  function createShimmer() {
+    const output = context.createGain();
+    output.gain.value = 0.04;
+    const oscillators = [1, 1.5, 2.003].map((ratio) => {
+      const oscillator = context.createOscillator();
+      oscillator.type = ratio === 1 ? "sine" : "triangle";
+      oscillator.connect(output);
+      oscillator.start();
+      return { oscillator, ratio };
+    });
+    return { output, oscillators };
+  }
+
+  function connectShimmer(entry) {
+    shimmer.output.disconnect();
+    shimmer.output.connect(entry.bus);
+  }
+
+  // `pulse` is the hologram glow, around 1
+  function updateShimmer(pulse) {
+    const now = context.currentTime;
+    shimmer.oscillators.forEach(({ oscillator, ratio }) => {
+      oscillator.frequency.setTargetAtTime(440 * ratio * pulse, now, 0.05);
+    });
+    shimmer.output.gain.setTargetAtTime(0.03 * pulse, now, 0.05);
+  }
+
+  // === Lifecycle ===
+  function applyVolume() {
+    if (listener) listener.setMasterVolume(muted ? 0 : volume);
+  }
+
+  function start() {
+    if (context) {
+      if (context.state === "suspended") context.resume();
+      return;
+    }
+    // Without Web Audio the scene just stays silent
+    if (!window.AudioContext && !window.webkitAudioContext) return;
+    listener = new THREE.AudioListener();
+    camera.add(listener);
+    context = listener.context;
+    if (context.state === "suspended") context.resume();
+    noiseBuffer = createNoiseBuffer(context, 1);
+    ambient = createAmbient();
+    shimmer = createShimmer();
+    applyVolume();
+
+    tracked.forEach((entry, model) => {
+      createVoice(model, entry);
+      if (entry.leader) connectShimmer(entry);
+    });
+  }
+
+  function removeGestureListeners() {
+    window.removeEventListener("pointerdown", onGesture);
+    window.removeEventListener("keydown", onGesture);
+  }
+
+  function onGesture() {
+    start();
+    removeGestureListeners();
+  }
+  window.addEventListener("pointerdown", onGesture);
+  window.addEventListener("keydown", onGesture);
+
+  // `speed` scales the hoof-falls; `pulse` is the hologram's glow pulse
+  function update(delta, { speed = 0, pulse = 1 } = {}) {
+    if (!context || context.state !== "running" || muted) return;
+
+    const intensity = 0.25 + Math.min(speed / referenceSpeed, 1) * 0.45;
+    tracked.forEach((entry) => detectFootfalls(entry, delta, intensity));
+    updateShimmer(pulse);
+
+    cricketTimer -= delta;
+    if (cricketTimer <= 0) {
+      cricketTimer = 1.5 + Math.random() * 5;
+      playCricket();
+    }
+  }
+
+  function setVolume(value) {
+    volume = THREE.MathUtils.clamp(value, 0, 1);
+    applyVolume();
+  }
+
+  function dispose() {
+    removeGestureListeners();
+    Array.from(tracked.keys()).forEach(untrack);
+    if (listener) {
+      camera.remove(listener);
+      // The context is shared by every three.js listener, so it stays open;
+      // the endless sources are stopped so nothing keeps running on it
+      [
+        ...ambient.sources,
+        ...shimmer.oscillators.map(({ oscillator }) => oscillator),
+      ].forEach((source) => {
+        source.stop();
+        source.disconnect();
+      });
+      ambient.output.disconnect();
+      shimmer.output.disconnect();
+      listener.gain.disconnect();
+    }
+  }
+
+  return {
+    track,
+    untrack,
+    update,
+    start,
+    setVolume,
+    dispose,
+    get volume() {
+      return volume;
+    },
+    get muted() {
+      return muted;
+    },
+    set muted(value) {
+      muted = Boolean(value);
+      applyVolume();
+    },
+    get started() {
+      return context !== null;
+    },
+  };
+}
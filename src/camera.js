@@ -0,0 +1,249 @@
+import * as THREE from "three";
+import { clampOrbit } from "./cameraLimits.js";
+
+export const CAMERA_MODES = ["orbit", "chase", "flyby", "grass"];
+
+// Loop around the deer; positions and look targets are in world space, which
+// is the deer's frame since it never leaves the origin
+const DEFAULT_KEYFRAMES = [
+  { position: [-6, 2.5, -6], target: [0, 1, 0] },
+  { position: [-7, 1.2, 3], target: [0, 1.2, 1] },
+  { position: [0, 4.5, 8], target: [0, 0.8, 0] },
+  { position: [6, 1.5, 4], target: [0, 1.2, 0] },
+  { position: [5, 3, -5], target: [0, 0.8, -1] },
+];
+
+const _offset = new THREE.Vector3();
+const _spherical = new THREE.Spherical();
+
+function toVector(value) {
+  return value.isVector3 ? value.clone() : new THREE.Vector3().fromArray(value);
+}
+
+// Camera modes around the deer:
+//   orbit  OrbitControls within distance, polar and azimuth limits
+//   chase  follows behind the deer's heading with a soft lag
+//   flyby  loops along a closed spline through editable keyframes
+//   grass  slow low circle at blade height over the ground, whose height at
+//          a scene (x, z) `groundHeightAt` returns
+// Switching modes blends position and look target from wherever the camera
+// is. OrbitControls only take input while the orbit mode is settled.
+export function createCameraRig({
+  camera,
+  controls,
+  mode = "orbit",
+  focus = new THREE.Vector3(0, 0.5, 0),
+  minDistance = 2,
+  maxDistance = 14,
+  minPolarAngle = 0.2,
+  maxPolarAngle = Math.PI / 2 - 0.08,
+  minAzimuthAngle = -Infinity,
+  maxAzimuthAngle = Infinity,
+  chaseDistance = 6,
+  chaseHeight = 2.2,
+  chaseResponse = 3,
+  flybyDuration = 24,
+  keyframes = DEFAULT_KEYFRAMES,
+  grassDistance = 4.5,
+  grassHeight = 0.35,
+  grassSpeed = 0.08,
+  groundHeightAt = () => 0,
+}) {
+  if (!CAMERA_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown camera mode "${mode}". Available: ${CAMERA_MODES.join(", ")}`
+    );
+  }
+
+  Object.assign(controls, {
+    minDistance,
+    maxDistance,
+    minPolarAngle,
+    maxPolarAngle,
+    minAzimuthAngle,
+    maxAzimuthAngle,
+  });
+  controls.target.copy(focus);
+
+  const lookTarget = controls.target.clone();
+  const pose = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+  // Where the orbit camera was last left, restored when coming back to it
+  const orbitPosition = camera.position.clone();
+  const chasePosition = new THREE.Vector3();
+  let chaseInitialized = false;
+  let flybyTime = 0;
+  let grassAngle = 0;
+  let transition = null;
+  let positionCurve = null;
+  let targetCurve = null;
+
+  function setKeyframes(frames) {
+    if (!Array.isArray(frames) || frames.length < 2) {
+      throw new Error("A flyby needs at least two keyframes");
+    }
+    keyframes = frames.map((frame) => ({
+      position: toVector(frame.position),
+      target: toVector(frame.target ?? focus),
+    }));
+    positionCurve = new THREE.CatmullRomCurve3(
+      keyframes.map((frame) => frame.position),
+      true,
+      "centripetal"
+    );
+    targetCurve = new THREE.CatmullRomCurve3(
+      keyframes.map((frame) => frame.target),
+      true,
+      "centripetal"
+    );
+  }
+
+  // Orbit landing pose: the last orbit position, pulled inside the limits
+  function orbitPose() {
+    _offset.copy(orbitPosition).sub(focus);
+    _spherical.setFromVector3(_offset);
+    // The controls carry the limits, as set above
+    const { radius, phi, theta } = clampOrbit(_spherical, controls);
+    _spherical.set(radius, phi, theta);
+    pose.position.setFromSpherical(_spherical).add(focus);
+    pose.target.copy(focus);
+  }
+
+  function chasePose(delta, heading) {
+    pose.position.set(
+      focus.x - Math.sin(heading) * chaseDistance,
+      focus.y + chaseHeight,
+      focus.z - Math.cos(heading) * chaseDistance
+    );
+    if (!chaseInitialized) {
+      chasePosition.copy(pose.position);
+      chaseInitialized = true;
+    }
+    chasePosition.lerp(pose.position, 1 - Math.exp(-chaseResponse * delta));
+    pose.position.copy(chasePosition);
+    pose.target.set(focus.x, focus.y + 0.7, focus.z);
+  }
+
+  function flybyPose(delta) {
+    flybyTime = (flybyTime + delta) % flybyDuration;
+    const u = flybyTime / flybyDuration;
+    positionCurve.getPointAt(u, pose.position);
+    targetCurve.getPointAt(u, pose.target);
+  }
+
+  function grassPose(delta) {
+    grassAngle += grassSpeed * delta;
+    const x = focus.x + Math.sin(grassAngle) * grassDistance;
+    const z = focus.z + Math.cos(grassAngle) * grassDistance;
+    pose.position.set(x, groundHeightAt(x, z) + grassHeight, z);
+    pose.target.set(
+      focus.x,
+      focus.y + groundHeightAt(focus.x, focus.z) + 0.4,
+      focus.z
+    );
+  }
+
+  function computePose(delta, heading) {
+    if (mode === "orbit") orbitPose();
+    else if (mode === "chase") chasePose(delta, heading);
+    else if (mode === "flyby") flybyPose(delta);
+    else grassPose(delta);
+  }
+
+  function setMode(name, { duration = 1.5 } = {}) {
+    if (!CAMERA_MODES.includes(name)) {
+      throw new Error(
+        `Unknown camera mode "${name}". Available: ${CAMERA_MODES.join(", ")}`
+      );
+    }
+    if (name === mode && !transition) return;
+    if (mode === "orbit" && !transition) orbitPosition.copy(camera.position);
+    if (name === "chase") chaseInitialized = false;
+
+    mode = name;
+    controls.enabled = false;
+    transition =
+      duration > 0
+        ? {
+            from: camera.position.clone(),
+            target: lookTarget.clone(),
+            elapsed: 0,
+            duration,
+          }
+        : null;
+    if (!transition) settle();
+  }
+
+  function settle() {
+    if (mode !== "orbit") return;
+    computePose(0, 0);
+    camera.position.copy(pose.position);
+    controls.target.copy(pose.target);
+    controls.enabled = true;
+    controls.update();
+  }
+
+  // `heading` is the deer's yaw, used by the chase camera. Call once per
+  // frame in place of controls.update().
+  function update(delta, { heading = 0 } = {}) {
+    if (mode === "orbit" && !transition) {
+      controls.update();
+      lookTarget.copy(controls.target);
+      return;
+    }
+
+    computePose(delta, heading);
+
+    if (transition) {
+      transition.elapsed = Math.min(
+        transition.elapsed + delta,
+        transition.duration
+      );
+      const t = THREE.MathUtils.smoothstep(
+        transition.elapsed,
+        0,
+        transition.duration
+      );
+      camera.position.lerpVectors(transition.from, pose.position, t);
+      lookTarget.lerpVectors(transition.target, pose.target, t);
+      camera.lookAt(lookTarget);
+      if (transition.elapsed >= transition.duration) {
+        transition = null;
+        settle();
+      }
+      return;
+    }
+
+    camera.position.copy(pose.position);
+    lookTarget.copy(pose.target);
+    camera.lookAt(lookTarget);
+  }
+
+  setKeyframes(keyframes);
+  controls.enabled = mode === "orbit";
+  if (mode !== "orbit") {
+    computePose(0, 0);
+    camera.position.copy(pose.position);
+    lookTarget.copy(pose.target);
+    camera.lookAt(lookTarget);
+  } else {
+    controls.update();
+  }
+
+  return {
+    setMode,
+    setKeyframes,
+    update,
+    get mode() {
+      return mode;
+    },
+    get transitioning() {
+      return transition !== null;
+    },
+    get keyframes() {
+      return keyframes.map((frame) => ({
+        position: frame.position.toArray(),
+        target: frame.target.toArray(),
+      }));
+    },
+  };
+}
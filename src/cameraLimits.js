@@ -0,0 +1,29 @@
+// Orbit camera limits, free of three.js so they can be tested in Node
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// `orbit` ({ radius, phi, theta } as in a three.js Spherical) pulled inside
+// the distance, polar and azimuth limits of OrbitControls. The azimuth is
+// only limited when both of its bounds are finite.
+export function clampOrbit(
+  { radius, phi, theta },
+  {
+    minDistance = 0,
+    maxDistance = Infinity,
+    minPolarAngle = 0,
+    maxPolarAngle = Math.PI,
+    minAzimuthAngle = -Infinity,
+    maxAzimuthAngle = Infinity,
+  }
+) {
+  return {
+    radius: clamp(radius, minDistance, maxDistance),
+    phi: clamp(phi, minPolarAngle, maxPolarAngle),
+    theta:
+      isFinite(minAzimuthAngle) && isFinite(maxAzimuthAngle)
+        ? clamp(theta, minAzimuthAngle, maxAzimuthAngle)
+        : theta,
+  };
+}
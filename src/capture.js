@@ -0,0 +1,270 @@
+import * as THREE from "three";
+
+// === ZIP (stored, no compression) ===
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+// 1980-01-01, the earliest date the format can hold
+const DOS_DATE = (1 << 5) | 1;
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Packs { name, bytes } entries into a zip archive. PNGs are already
+// compressed, so entries are stored as they are.
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, bytes }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const directorySize = directory.reduce(
+    (sum, part) => sum + part.byteLength,
+    0
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}
+
+function canvasToBlob(canvas, type = "image/png") {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Canvas capture failed")),
+      type
+    )
+  );
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Offline capture for promotional renders. While recording, the page's own
+// loop must stand still: `step(delta)` is called once per captured frame with
+// an exact 1/fps delta and has to advance the simulation and render, and
+// `onEnd` runs when control goes back to the real-time loop.
+//
+// Stills are rendered in tiles through the camera's view offset at any size.
+// Point sprites are sized in framebuffer pixels, so `pointScale` (a shared
+// uniform the point shaders multiply gl_PointSize by) is raised to match the
+// output resolution for every tile.
+export function createCapture({
+  renderer,
+  scene,
+  camera,
+  step,
+  pointScale,
+  onEnd = () => {},
+}) {
+  const canvas = renderer.domElement;
+  let active = false;
+  let stopRequested = false;
+
+  function begin() {
+    if (active) throw new Error("A capture is already running");
+    active = true;
+    stopRequested = false;
+  }
+
+  function finish() {
+    active = false;
+    onEnd();
+  }
+
+  async function runFrames(fps, duration, onFrame) {
+    const frames = Math.max(1, Math.round(fps * duration));
+    try {
+      for (let i = 0; i < frames && !stopRequested; i++) {
+        step(1 / fps);
+        await onFrame(i);
+      }
+    } finally {
+      finish();
+    }
+  }
+
+  // PNG sequence, one file per fixed step, zipped
+  async function recordFrames({ fps = 60, duration = 5 } = {}) {
+    begin();
+    const files = [];
+    await runFrames(fps, duration, async (index) => {
+      const blob = await canvasToBlob(canvas);
+      files.push({
+        name: `frame_${String(index).padStart(5, "0")}.png`,
+        bytes: new Uint8Array(await blob.arrayBuffer()),
+      });
+    });
+    return createZip(files);
+  }
+
+  // WebM through MediaRecorder. The recorder is paused while each frame is
+  // rendered and resumed for exactly one frame interval, so slow frames do
+  // not stretch or drop from the video's timeline.
+  async function recordVideo({
+    fps = 60,
+    duration = 5,
+    bitsPerSecond = 40e6,
+  } = {}) {
+    if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+      throw new Error("Video capture is not supported in this browser");
+    }
+    const mimeType = ["video/webm;codecs=vp9", "video/webm"].find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    if (!mimeType) throw new Error("WebM recording is not supported");
+
+    begin();
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: bitsPerSecond,
+    });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+    recorder.start();
+    recorder.pause();
+    await runFrames(fps, duration, async () => {
+      recorder.resume();
+      track.requestFrame();
+      await wait(1000 / fps);
+      recorder.pause();
+    });
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: "video/webm" });
+  }
+
+  // Renders the current frame at `width` x `height` in tiles no larger than
+  // the GPU allows. Post-processing is skipped: bloom would seam at tile
+  // edges. stop() abandons the still between tiles and rejects.
+  async function renderStill({ width = 7680, height = 4320, tileSize } = {}) {
+    begin();
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const tile = Math.min(tileSize || 2048, maxSize);
+
+    const previousSize = renderer.getSize(new THREE.Vector2());
+    const previousRatio = renderer.getPixelRatio();
+    const bufferHeight = renderer.getDrawingBufferSize(new THREE.Vector2()).y;
+    const previousScale = pointScale.value;
+    const previousAspect = camera.aspect;
+
+    const output = document.createElement("canvas");
+    output.width = width;
+    output.height = height;
+    const context = output.getContext("2d");
+
+    try {
+      pointScale.value = previousScale * (height / bufferHeight);
+      camera.aspect = width / height;
+      renderer.setPixelRatio(1);
+
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          if (stopRequested) throw new Error("Still capture was stopped");
+          const tileWidth = Math.min(tile, width - x);
+          const tileHeight = Math.min(tile, height - y);
+          renderer.setSize(tileWidth, tileHeight, false);
+          camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+          renderer.render(scene, camera);
+          context.drawImage(
+            canvas,
+            0,
+            0,
+            tileWidth,
+            tileHeight,
+            x,
+            y,
+            tileWidth,
+            tileHeight
+          );
+          // Let the page breathe between tiles
+          await wait(0);
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      camera.aspect = previousAspect;
+      camera.updateProjectionMatrix();
+      pointScale.value = previousScale;
+      renderer.setPixelRatio(previousRatio);
+      renderer.setSize(previousSize.x, previousSize.y, false);
+      finish();
+    }
+
+    return canvasToBlob(output);
+  }
+
+  function stop() {
+    stopRequested = true;
+  }
+
+  return {
+    recordFrames,
+    recordVideo,
+    renderStill,
+    stop,
+    get active() {
+      return active;
+    },
+  };
+}
@@ -0,0 +1,123 @@
+import * as THREE from "three";
+
+const _steer = new THREE.Vector2();
+const _separation = new THREE.Vector2();
+const _alignment = new THREE.Vector2();
+const _cohesion = new THREE.Vector2();
+const _offset = new THREE.Vector2();
+
+// Boids-style flock on the XZ plane around the lead deer. Positions and
+// velocities are relative to the leader, which sits at the origin while the
+// world scrolls past; followers only drift within `radius` of it.
+export function createHerd({
+  radius = 12,
+  boundsRatio = 0.55,
+  neighbourRadius = 4,
+  separationRadius = 2.8,
+  separationWeight = 2.4,
+  alignmentWeight = 0.6,
+  cohesionWeight = 0.4,
+  boundsWeight = 1.6,
+  wanderWeight = 0.3,
+  maxSpeed = 1.4,
+  maxForce = 2.5,
+  random = Math.random,
+} = {}) {
+  // agents[0] is the leader and never moves
+  const agents = [];
+  const bounds = radius * boundsRatio;
+
+  function createAgent(index) {
+    const agent = {
+      position: new THREE.Vector2(),
+      velocity: new THREE.Vector2(),
+      phase: index === 0 ? 0 : random(),
+      wander: random() * Math.PI * 2,
+    };
+    if (index > 0) {
+      // Spread followers on rings around the leader, mostly behind and beside
+      const ring = 1 + Math.floor((index - 1) / 6);
+      const angle =
+        Math.PI + ((index - 1) % 6) * (Math.PI / 3) + random() * 0.4;
+      agent.position
+        .set(Math.sin(angle), Math.cos(angle))
+        .multiplyScalar(Math.min(bounds, ring * separationRadius * 1.4));
+    }
+    return agent;
+  }
+
+  function setCount(count) {
+    const target = Math.max(1, Math.floor(count));
+    while (agents.length < target) agents.push(createAgent(agents.length));
+    agents.length = target;
+  }
+
+  function update(delta) {
+    for (let i = 1; i < agents.length; i++) {
+      const agent = agents[i];
+      _separation.set(0, 0);
+      _alignment.set(0, 0);
+      _cohesion.set(0, 0);
+      let neighbours = 0;
+
+      for (let j = 0; j < agents.length; j++) {
+        if (i === j) continue;
+        const other = agents[j];
+        _offset.subVectors(agent.position, other.position);
+        const distance = _offset.length();
+        if (distance > neighbourRadius) continue;
+
+        if (distance < separationRadius && distance > 1e-4) {
+          _separation.addScaledVector(
+            _offset,
+            (1 - distance / separationRadius) / distance
+          );
+        }
+        _alignment.add(other.velocity);
+        _cohesion.add(other.position);
+        neighbours++;
+      }
+
+      _steer.copy(_separation).multiplyScalar(separationWeight);
+      if (neighbours > 0) {
+        _alignment
+          .divideScalar(neighbours)
+          .sub(agent.velocity)
+          .multiplyScalar(alignmentWeight);
+        _cohesion
+          .divideScalar(neighbours)
+          .sub(agent.position)
+          .multiplyScalar(cohesionWeight);
+        _steer.add(_alignment).add(_cohesion);
+      }
+
+      // Pull back towards the leader once outside the herd bounds
+      const distanceFromLeader = agent.position.length();
+      if (distanceFromLeader > bounds) {
+        _steer.addScaledVector(
+          agent.position,
+          (-boundsWeight * (distanceFromLeader - bounds)) / distanceFromLeader
+        );
+      }
+
+      agent.wander += (random() - 0.5) * delta * 3;
+      _steer.x += Math.cos(agent.wander) * wanderWeight;
+      _steer.y += Math.sin(agent.wander) * wanderWeight;
+
+      if (_steer.length() > maxForce) _steer.setLength(maxForce);
+      agent.velocity.addScaledVector(_steer, delta);
+      if (agent.velocity.length() > maxSpeed)
+        agent.velocity.setLength(maxSpeed);
+      agent.position.addScaledVector(agent.velocity, delta);
+    }
+  }
+
+  return {
+    agents,
+    setCount,
+    update,
+    get count() {
+      return agents.length;
+    },
+  };
+}
@@ -0,0 +1,368 @@
+import * as THREE from "three";
+
+export const HOLOGRAM_VARIANTS = ["solid", "wireframe", "points"];
+
+// Look of the deer hologram, shared by every deer:
+//   fresnelPower   how tightly the glow hugs the silhouette
+//   pulseRate      breathing speed of the glow, rad/s
+//   pulseDepth     how far the glow breathes around full strength
+//   scanDensity    scan lines per object unit of height
+//   scanSpeed      how fast the scan lines climb
+//   scanWidth      softness of a scan line either side of its crest
+//   scanStrength   brightness of the scan lines
+//   pointDensity   dots per world unit in the "points" variant
+//   edgeWidth      width of the glowing edge while materializing
+export const HOLOGRAM_DEFAULTS = {
+  fresnelPower: 2,
+  pulseRate: 1.8,
+  pulseDepth: 0.25,
+  scanDensity: 6,
+  scanSpeed: 3,
+  scanWidth: 0.15,
+  scanStrength: 1.6,
+  pointDensity: 14,
+  edgeWidth: 0.08,
+};
+
+const PARAMETER_UNIFORMS = {
+  fresnelPower: "uFresnelPower",
+  pulseRate: "uPulseRate",
+  pulseDepth: "uPulseDepth",
+  scanDensity: "uScanDensity",
+  scanSpeed: "uScanSpeed",
+  scanWidth: "uScanWidth",
+  scanStrength: "uScanStrength",
+  pointDensity: "uPointDensity",
+  edgeWidth: "uEdgeWidth",
+};
+
+// Dissolve noise cells per world unit
+const NOISE_SCALE = 5;
+
+const vertexShader = `
+  #ifdef USE_SKINNING
+    #include <skinning_pars_vertex>
+  #endif
+
+  uniform float uTime;
+  uniform float uGlitch;
+
+  varying vec3 vNormal;
+  varying vec3 vPosition;
+  varying vec3 vViewPosition;
+
+  float glitchHash(float n) {
+    return fract(sin(n) * 43758.5453);
+  }
+
+  void main() {
+    #ifdef USE_SKINNING
+      #include <beginnormal_vertex>
+      #include <skinbase_vertex>
+      #include <skinnormal_vertex>
+      #include <begin_vertex>
+      #include <skinning_vertex>
+    #else
+      vec3 transformed = position;
+      vec3 objectNormal = normal;
+    #endif
+
+    vNormal = normalize(normalMatrix * objectNormal);
+    vPosition = transformed;
+    vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+
+    // Glitch: horizontal slices jump sideways, reshuffled 20 times a second
+    if (uGlitch > 0.0) {
+      float frame = floor(uTime * 20.0);
+      float slice = floor(mvPosition.y * 8.0);
+      float shift = glitchHash(slice * 13.1 + frame);
+      mvPosition.x += step(0.75, shift) * (shift - 0.875) * 1.2 * uGlitch;
+    }
+
+    vViewPosition = -mvPosition.xyz;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = `
+  uniform float uTime;
+  uniform vec3 uAccentColor;
+  uniform float uFresnelPower;
+  uniform float uPulseRate;
+  uniform float uPulseDepth;
+  uniform float uScanDensity;
+  uniform float uScanSpeed;
+  uniform float uScanWidth;
+  uniform float uScanStrength;
+  uniform float uPointDensity;
+  uniform float uEdgeWidth;
+  uniform float uGlitch;
+  uniform float uReveal;
+  uniform float uNoiseScale;
+  varying vec3 vNormal;
+  varying vec3 vPosition;
+  varying vec3 vViewPosition;
+
+  float hash(vec3 p) {
+    return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+  }
+
+  float valueNoise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(
+        mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+        mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x),
+        f.y
+      ),
+      mix(
+        mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+        mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x),
+        f.y
+      ),
+      f.z
+    );
+  }
+
+  void main() {
+    // Materialize / dissolve: the surface appears where the noise is below
+    // uReveal, with a bright rim along the edge
+    vec3 noisePosition = vPosition * uNoiseScale;
+    float noise = valueNoise(noisePosition) * 0.7 +
+      valueNoise(noisePosition * 2.3) * 0.3;
+    if (noise > uReveal) discard;
+    float edge = (1.0 - smoothstep(0.0, uEdgeWidth, uReveal - noise)) *
+      (1.0 - step(1.0, uReveal));
+
+    #ifdef POINT_CLOUD
+      vec3 cell = fract(vPosition * uNoiseScale / ${NOISE_SCALE.toFixed(1)} * uPointDensity) - 0.5;
+      if (length(cell) > 0.28) discard;
+    #endif
+
+    vec3 viewDirection = normalize(vViewPosition);
+    vec3 normal = normalize(vNormal);
+    float fresnel = pow(1.0 - abs(dot(viewDirection, normal)), uFresnelPower);
+
+    float pulse = sin(uTime * uPulseRate) * uPulseDepth + 0.85;
+    float innerGlow = pow(1.0 - fresnel, 2.2) * 0.5;
+
+    // Moving scan effect for hologram shimmer
+    float scan = sin(vPosition.y * uScanDensity + uTime * uScanSpeed) * 0.5 + 0.5;
+    float scanMask = smoothstep(0.6 - uScanWidth, 0.6, scan) *
+      (1.0 - smoothstep(0.6, 0.6 + uScanWidth, scan));
+
+    vec3 base = uAccentColor * (fresnel * 2.4 + innerGlow) * pulse;
+    vec3 streak = uAccentColor * scanMask * pow(fresnel, 1.2) * uScanStrength;
+
+    vec3 finalColor = base + streak + uAccentColor * edge * 3.0;
+    float alpha = clamp(fresnel * 0.85 + 0.45 + edge, 0.0, 1.0);
+
+    // Flicker while glitching
+    float flicker = step(0.5, fract(sin(floor(uTime * 24.0)) * 43758.5453));
+    alpha *= 1.0 - uGlitch * flicker * 0.6;
+    finalColor += vec3(0.6, -0.2, 0.4) * uGlitch * flicker;
+
+    gl_FragColor = vec4(finalColor, alpha);
+  }
+`;
+
+// Deer hologram materials. Every material reads the same look uniforms and
+// the scene's shared time (colorUniforms.uTime), so one configure() call
+// restyles the whole herd. Each applied model also gets its own reveal for
+// the materialize/dissolve effect, shared with its skeleton clones.
+export function createHologram({
+  colorUniforms,
+  variant = "solid",
+  ...parameters
+}) {
+  if (!HOLOGRAM_VARIANTS.includes(variant)) {
+    throw new Error(
+      `Unknown hologram variant "${variant}". Available: ${HOLOGRAM_VARIANTS.join(", ")}`
+    );
+  }
+
+  const uniforms = {
+    uTime: colorUniforms.uTime,
+    uAccentColor: colorUniforms.uAccentColor,
+    uGlitch: { value: 0 },
+  };
+  Object.values(PARAMETER_UNIFORMS).forEach(
+    (name) => (uniforms[name] = { value: 0 })
+  );
+
+  // model -> { materials, reveal, noiseScale, transition }
+  const applied = new Map();
+  let glitch = null;
+
+  function configure(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!PARAMETER_UNIFORMS[key]) {
+        throw new Error(
+          `Unknown hologram parameter "${key}". Available: ${Object.keys(PARAMETER_UNIFORMS).join(", ")}`
+        );
+      }
+      uniforms[PARAMETER_UNIFORMS[key]].value = value;
+    });
+  }
+
+  function getParameters() {
+    const current = {};
+    Object.entries(PARAMETER_UNIFORMS).forEach(
+      ([key, name]) => (current[key] = uniforms[name].value)
+    );
+    return current;
+  }
+
+  function styleMaterial(material) {
+    material.wireframe = variant === "wireframe";
+    if (variant === "points") material.defines.POINT_CLOUD = "";
+    else delete material.defines.POINT_CLOUD;
+    material.needsUpdate = true;
+  }
+
+  // Gives every mesh of `model` a hologram material, hidden until
+  // materialize() unless `revealed`. Returns the new materials.
+  function apply(model, { revealed = false } = {}) {
+    const reveal = { value: revealed ? 1 : 0 };
+    // Object units to world units, so the noise has the same grain on any model
+    const noiseScale = { value: NOISE_SCALE * model.scale.x };
+    const materials = [];
+    model.traverse((child) => {
+      if (child.isMesh || child.isSkinnedMesh) {
+        const material = new THREE.ShaderMaterial({
+          vertexShader,
+          fragmentShader,
+          uniforms: { ...uniforms, uReveal: reveal, uNoiseScale: noiseScale },
+          defines: child.isSkinnedMesh ? { USE_SKINNING: "" } : {},
+          transparent: true,
+          side: THREE.DoubleSide,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        });
+        styleMaterial(material);
+        child.material = material;
+        materials.push(material);
+      }
+    });
+    applied.set(model, { materials, reveal, transition: null });
+    return materials;
+  }
+
+  function transition(model, to, duration) {
+    const entry = applied.get(model);
+    if (!entry) return Promise.resolve();
+    if (entry.transition) entry.transition.resolve();
+    if (duration <= 0) {
+      entry.reveal.value = to;
+      entry.transition = null;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      entry.transition = {
+        from: entry.reveal.value,
+        to,
+        elapsed: 0,
+        duration,
+        resolve,
+      };
+    });
+  }
+
+  // Noise-edged fade in of an applied model; resolves when it is whole
+  function materialize(model, { duration = 1.2 } = {}) {
+    return transition(model, 1, duration);
+  }
+
+  // The reverse of materialize(); resolves when the model is gone
+  function dissolve(model, { duration = 0.7 } = {}) {
+    return transition(model, 0, duration);
+  }
+
+  // Burst of sliced, flickering frames, easing out over `duration`
+  function triggerGlitch({ duration = 0.5, strength = 1 } = {}) {
+    glitch = { elapsed: 0, duration, strength };
+  }
+
+  function setVariant(name) {
+    if (!HOLOGRAM_VARIANTS.includes(name)) {
+      throw new Error(
+        `Unknown hologram variant "${name}". Available: ${HOLOGRAM_VARIANTS.join(", ")}`
+      );
+    }
+    variant = name;
+    applied.forEach(({ materials }) => materials.forEach(styleMaterial));
+  }
+
+  // Glow pulse at `time`, as the shader computes it
+  function pulseAt(time) {
+    return (
+      Math.sin(time * uniforms.uPulseRate.value) * uniforms.uPulseDepth.value +
+      0.85
+    );
+  }
+
+  // Advances reveal transitions and the glitch; call once per step
+  function update(delta) {
+    applied.forEach((entry) => {
+      const current = entry.transition;
+      if (!current) return;
+      current.elapsed = Math.min(current.elapsed + delta, current.duration);
+      const t = THREE.MathUtils.smoothstep(
+        current.elapsed,
+        0,
+        current.duration
+      );
+      entry.reveal.value = THREE.MathUtils.lerp(current.from, current.to, t);
+      if (current.elapsed >= current.duration) {
+        entry.transition = null;
+        current.resolve();
+      }
+    });
+
+    if (glitch) {
+      glitch.elapsed += delta;
+      const t = Math.min(glitch.elapsed / glitch.duration, 1);
+      uniforms.uGlitch.value = glitch.strength * (1 - t) * (1 - t);
+      if (t >= 1) {
+        glitch = null;
+        uniforms.uGlitch.value = 0;
+      }
+    }
+  }
+
+  // Disposes the materials applied to `model`
+  function release(model) {
+    const entry = applied.get(model);
+    if (!entry) return;
+    if (entry.transition) entry.transition.resolve();
+    entry.materials.forEach((material) => material.dispose());
+    applied.delete(model);
+  }
+
+  function dispose() {
+    Array.from(applied.keys()).forEach(release);
+  }
+
+  configure({ ...HOLOGRAM_DEFAULTS, ...parameters });
+
+  return {
+    apply,
+    release,
+    materialize,
+    dissolve,
+    glitch: triggerGlitch,
+    configure,
+    setVariant,
+    pulseAt,
+    update,
+    dispose,
+    get parameters() {
+      return getParameters();
+    },
+    get variant() {
+      return variant;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// Keyframe arithmetic on plain { times, values } tracks, as stored by
+// three.js KeyframeTracks: `values` holds `values.length / times.length`
+// numbers per key. Free of three.js so it can be tested in Node.
+
+// Earliest keyframe time from which any track of `clip` starts to move.
+// Returns 0 when the clip never holds a pose at its start.
+export function detectIdleStart(clip, epsilon = 1e-4) {
+  let start = Infinity;
+
+  clip.tracks.forEach((track) => {
+    const { times, values } = track;
+    const stride = values.length / times.length;
+
+    for (let i = 1; i < times.length; i++) {
+      let moved = false;
+      for (let j = 0; j < stride; j++) {
+        if (Math.abs(values[i * stride + j] - values[j]) > epsilon) {
+          moved = true;
+          break;
+        }
+      }
+      if (moved) {
+        start = Math.min(start, times[i - 1]);
+        return;
+      }
+    }
+  });
+
+  return Number.isFinite(start) ? start : 0;
+}
+
+// Keys of a track limited to [start, end] and shifted to begin at 0. When
+// there is no key exactly on a bound but the track runs past it, one is
+// sampled there with `sampleAt(time)`, which returns a key's values. A track
+// whose keys all fall outside the range thus still holds its pose.
+export function trimKeyframes({ times, values }, start, end, sampleAt) {
+  const newTimes = [];
+  const newValues = [];
+  if (times.length === 0) {
+    return { times: new Float32Array(0), values: new Float32Array(0) };
+  }
+  const stride = values.length / times.length;
+
+  if (times[0] < start && !times.includes(start)) {
+    newTimes.push(0);
+    newValues.push(...sampleAt(start));
+  }
+
+  for (let i = 0; i < times.length; i++) {
+    if (times[i] >= start && times[i] <= end) {
+      newTimes.push(times[i] - start);
+      for (let j = 0; j < stride; j++) {
+        newValues.push(values[i * stride + j]);
+      }
+    }
+  }
+
+  const lastTime = newTimes[newTimes.length - 1];
+  if (
+    times[times.length - 1] > end &&
+    (lastTime === undefined || lastTime < end - start)
+  ) {
+    newTimes.push(end - start);
+    newValues.push(...sampleAt(end));
+  }
+
+  return {
+    times: new Float32Array(newTimes),
+    values: new Float32Array(newValues),
+  };
+}
@@ -0,0 +1,127 @@
+const ACCENT = "114,188,198";
+const FADE_SECONDS = 0.8;
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Overlay shown while the deer loads and when something goes wrong. It
+// reports byte progress, fades out once the scene is ready, and turns into
+// an error panel with optional Retry and Dismiss buttons.
+export function createLoadingScreen({ container = document.body }) {
+  const overlay = document.createElement("div");
+  overlay.style.cssText =
+    "position:absolute;inset:0;display:none;flex-direction:column;" +
+    "align-items:center;justify-content:center;gap:14px;padding:24px;" +
+    "color:#dff6fa;font-family:Georgia,serif;text-align:center;" +
+    `background:#000510;transition:opacity ${FADE_SECONDS}s ease;`;
+
+  const label = document.createElement("div");
+  label.style.cssText = "letter-spacing:2px;opacity:0.85;";
+
+  const bar = document.createElement("div");
+  bar.style.cssText =
+    "width:min(260px,60vw);height:3px;overflow:hidden;" +
+    `background:rgba(${ACCENT},0.15);border-radius:2px;`;
+  const fill = document.createElement("div");
+  fill.style.cssText =
+    "width:0;height:100%;transition:width 0.2s ease;" +
+    `background:rgb(${ACCENT});box-shadow:0 0 12px rgb(${ACCENT});`;
+  bar.appendChild(fill);
+
+  const detail = document.createElement("div");
+  detail.style.cssText = "min-height:1.4em;font-size:12px;opacity:0.6;";
+
+  const actions = document.createElement("div");
+  actions.style.cssText = "display:flex;gap:10px;";
+
+  overlay.append(label, bar, detail, actions);
+  container.appendChild(overlay);
+
+  let hideTimer = null;
+
+  function createButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.style.cssText =
+      "padding:8px 18px;font:inherit;color:#dff6fa;cursor:pointer;" +
+      `background:rgba(${ACCENT},0.12);border:1px solid rgba(${ACCENT},0.5);` +
+      "border-radius:6px;";
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function reveal() {
+    clearTimeout(hideTimer);
+    overlay.style.display = "flex";
+    overlay.style.opacity = "1";
+  }
+
+  // Opens the overlay on an empty progress bar
+  function show(text = "Summoning the patronus") {
+    reveal();
+    label.textContent = text;
+    bar.style.display = "block";
+    fill.style.width = "0";
+    detail.textContent = "";
+    actions.replaceChildren();
+  }
+
+  // `total` is 0 when the server does not send a length
+  function progress(loaded, total) {
+    if (total > 0) {
+      fill.style.width = `${Math.min((loaded / total) * 100, 100)}%`;
+      detail.textContent = `${formatMegabytes(loaded)} / ${formatMegabytes(total)}`;
+    } else {
+      detail.textContent = formatMegabytes(loaded);
+    }
+  }
+
+  // Fades the overlay out
+  function hide() {
+    if (overlay.style.display === "none") return;
+    overlay.style.opacity = "0";
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(
+      () => (overlay.style.display = "none"),
+      FADE_SECONDS * 1000
+    );
+  }
+
+  // Shows `message` as an error, with a Retry button when `onRetry` is given
+  // and a Dismiss button when the scene is still usable behind it
+  function fail(message, { onRetry, dismissible = false } = {}) {
+    reveal();
+    label.textContent = message;
+    bar.style.display = "none";
+    detail.textContent = "";
+    const buttons = [];
+    if (onRetry) {
+      buttons.push(
+        createButton("Retry", () => {
+          hide();
+          onRetry();
+        })
+      );
+    }
+    if (dismissible) buttons.push(createButton("Dismiss", hide));
+    actions.replaceChildren(...buttons);
+  }
+
+  function dispose() {
+    clearTimeout(hideTimer);
+    overlay.remove();
+  }
+
+  return {
+    show,
+    progress,
+    hide,
+    fail,
+    dispose,
+    get visible() {
+      return overlay.style.display !== "none";
+    },
+  };
+}
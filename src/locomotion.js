@@ -0,0 +1,168 @@
+import * as THREE from "three";
+
+// Gaits in order of speed. `clip` is a clip role from the model manifest,
+// `speed` the world scroll speed the clip's stride matches at `timeScale`.
+export const GAITS = {
+  idle: { clip: "idle", speed: 0, timeScale: 1 },
+  walk: { clip: "walk", speed: 2.2, timeScale: 1 },
+  trot: { clip: "run", speed: 5, timeScale: 0.65 },
+  run: { clip: "run", speed: 8, timeScale: 1 },
+};
+
+const MIN_TIME_SCALE = 0.25;
+const MAX_TIME_SCALE = 2;
+
+// Locomotion controller: ramps the deer's speed towards a target, picks the
+// gait closest to the current speed and crossfades between gait clips. Clip
+// playback is scaled with speed so hooves stay planted while ramping. Several
+// rigs (one mixer per deer) can be attached; they share the gait and speed
+// but each keeps its own phase in the cycle and tracks the gait it plays, so
+// a rig attached mid-ramp does not leave the others behind.
+export function createLocomotion({
+  gait = "run",
+  crossfade = 0.4,
+  ramp = 1.2,
+} = {}) {
+  let gaits = GAITS;
+  let rigs = [];
+  let clipRoles = new Set();
+  let activeGait = gait;
+  let speed = GAITS[gait].speed;
+  let targetSpeed = speed;
+  let rampRate = 0;
+
+  // Gaits by speed, limited to those the model has clips for (all of them
+  // when it has none)
+  function orderedGaits() {
+    const sorted = Object.entries(gaits).sort(
+      (a, b) => a[1].speed - b[1].speed
+    );
+    const playable = sorted.filter(([, def]) => clipRoles.has(def.clip));
+    return playable.length > 0 ? playable : sorted;
+  }
+
+  // Gait whose speed is nearest to `value`; switch points sit midway
+  function gaitForSpeed(value) {
+    const ordered = orderedGaits();
+    let best = ordered[0][0];
+    for (let i = 1; i < ordered.length; i++) {
+      const threshold = (ordered[i - 1][1].speed + ordered[i][1].speed) / 2;
+      if (value >= threshold) best = ordered[i][0];
+    }
+    return best;
+  }
+
+  function playGait(rig, name, fadeDuration) {
+    rig.gait = name;
+    const action = rig.actions[gaits[name].clip];
+    if (!action || action === rig.activeAction) return;
+
+    action.reset();
+    action.setLoop(THREE.LoopRepeat, Infinity);
+    action.time = rig.phase * action.getClip().duration;
+    action.play();
+    if (rig.activeAction && fadeDuration > 0) {
+      action.crossFadeFrom(rig.activeAction, fadeDuration, false);
+    } else if (rig.activeAction) {
+      rig.activeAction.stop();
+    }
+    rig.activeAction = action;
+  }
+
+  // Binds a mixer of a freshly loaded model. `clips` maps manifest roles to
+  // trimmed clips, `gaitOverrides` lets a model retune speeds and `phase`
+  // (0-1) offsets this rig in the gait cycle.
+  function attach(mixer, clips, gaitOverrides = {}, { phase = 0 } = {}) {
+    gaits = {};
+    Object.keys(GAITS).forEach((name) => {
+      gaits[name] = { ...GAITS[name], ...gaitOverrides[name] };
+    });
+    clipRoles = new Set(Object.keys(clips));
+
+    const rig = { mixer, actions: {}, activeAction: null, gait: null, phase };
+    Object.entries(clips).forEach(([role, clip]) => {
+      rig.actions[role] = mixer.clipAction(clip);
+    });
+    rigs.push(rig);
+
+    activeGait = gaitForSpeed(speed);
+    playGait(rig, activeGait, 0);
+    return rig;
+  }
+
+  // Detaches one mixer, or every rig when called without arguments
+  function detach(mixer) {
+    rigs = rigs.filter((rig) => {
+      if (mixer && rig.mixer !== mixer) return true;
+      rig.mixer.stopAllAction();
+      return false;
+    });
+  }
+
+  function setSpeed(value, { ramp: rampTime = ramp } = {}) {
+    targetSpeed = Math.max(0, value);
+    rampRate =
+      rampTime > 0 ? Math.abs(targetSpeed - speed) / rampTime : Infinity;
+  }
+
+  function setGait(name, options) {
+    if (!gaits[name]) {
+      throw new Error(
+        `Unknown gait "${name}". Available: ${Object.keys(gaits).join(", ")}`
+      );
+    }
+    setSpeed(gaits[name].speed, options);
+  }
+
+  function update(delta) {
+    if (speed !== targetSpeed) {
+      const step = rampRate * delta;
+      speed =
+        Math.abs(targetSpeed - speed) <= step
+          ? targetSpeed
+          : speed + Math.sign(targetSpeed - speed) * step;
+    }
+
+    activeGait = gaitForSpeed(speed);
+    rigs.forEach((rig) => {
+      if (rig.gait !== activeGait) playGait(rig, activeGait, crossfade);
+    });
+
+    const def = gaits[activeGait];
+    const stride = def.speed > 0 ? speed / def.speed : 1;
+    const timeScale =
+      def.timeScale *
+      THREE.MathUtils.clamp(stride, MIN_TIME_SCALE, MAX_TIME_SCALE);
+    rigs.forEach((rig) => {
+      if (rig.activeAction) rig.activeAction.timeScale = timeScale;
+      rig.mixer.update(delta);
+    });
+  }
+
+  return {
+    attach,
+    detach,
+    setGait,
+    setSpeed,
+    update,
+    get speed() {
+      return speed;
+    },
+    get targetSpeed() {
+      return targetSpeed;
+    },
+    get gait() {
+      return activeGait;
+    },
+    // Gait the deer is ramping towards
+    get targetGait() {
+      return gaitForSpeed(targetSpeed);
+    },
+    get gaits() {
+      return orderedGaits().map(([name]) => name);
+    },
+    gaitSpeed(name) {
+      return gaits[name].speed;
+    },
+  };
+}
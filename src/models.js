@@ -0,0 +1,206 @@
+import * as THREE from "three";
+import { GLTFLoader } from "jsm/loaders/GLTFLoader.js";
+import { DRACOLoader } from "jsm/loaders/DRACOLoader.js";
+import { detectIdleStart, trimKeyframes } from "./keyframes.js";
+import { DEFAULT_TRAIL_EMITTERS } from "./trail.js";
+
+// Model manifest. Each entry declares:
+//   url      GLB file to load
+//   size     target bounding-box diagonal after scaling
+//   offsetY  vertical position of the model origin
+//   clips    role -> { name, start?, end? }; trims are in seconds. When
+//            `start` is left out, leading idle frames are detected.
+//   gaits    optional per-gait overrides of the locomotion table, e.g.
+//            { walk: { speed: 1.8 } } for a model with a shorter stride
+//   emitters optional trail emitter definitions, see src/trail.js; the
+//            default trail streams from above the deer's back
+export const MODELS = {
+  stag: {
+    url: "models/first3D.glb",
+    size: 3.5,
+    offsetY: 0.5,
+    clips: {
+      idle: { name: "IdleDeer", start: 0 },
+      walk: { name: "Walkdeer" },
+      run: { name: "Rundeer", start: 4.7 },
+    },
+    emitters: [
+      ...DEFAULT_TRAIL_EMITTERS,
+      // Sparks kicked up by the hooves
+      {
+        bone: /toeTip/,
+        rate: 14,
+        count: 3,
+        spread: 0.15,
+        jitter: [1.2, 1.6, 1.2],
+        stream: [6, 8],
+        lifetime: [0.8, 1.6],
+        size: [0.4, 0.9],
+      },
+      // A wisp off the tail
+      {
+        bone: /tail_Tip/,
+        rate: 25,
+        count: 4,
+        spread: 0.1,
+        velocity: [0, 0.4, 0],
+        jitter: [0.4, 0.4, 0.4],
+        stream: [8, 10],
+        lifetime: [1.5, 2.5],
+        size: [0.5, 1.2],
+      },
+    ],
+  },
+  doe: {
+    url: "models/realistic_deer.glb",
+    size: 3.5,
+    offsetY: 0.5,
+    clips: {},
+  },
+};
+
+// A manifest entry with the defaults filled in, without registering it
+export function createModelEntry(id, entry) {
+  if (!entry || !entry.url) {
+    throw new Error(`Model "${id}" needs at least a url`);
+  }
+  return { size: 3.5, offsetY: 0.5, clips: {}, ...entry };
+}
+
+export function registerModel(id, entry) {
+  MODELS[id] = createModelEntry(id, entry);
+  return MODELS[id];
+}
+
+export function getModelEntry(id) {
+  const entry = MODELS[id];
+  if (!entry) {
+    throw new Error(
+      `Unknown model "${id}". Registered: ${Object.keys(MODELS).join(", ")}`
+    );
+  }
+  return entry;
+}
+
+function sampleTrack(track, time) {
+  return Array.from(track.createInterpolant().evaluate(time));
+}
+
+// Returns a copy of `clip` limited to [start, end] and shifted to begin at 0,
+// see trimKeyframes in src/keyframes.js
+export function trimClip(clip, start, end = clip.duration) {
+  const trimmed = clip.clone();
+
+  trimmed.tracks.forEach((track) => {
+    const keys = trimKeyframes(track, start, end, (time) =>
+      sampleTrack(track, time)
+    );
+    track.times = keys.times;
+    track.values = keys.values;
+  });
+
+  trimmed.duration = end - start;
+  return trimmed;
+}
+
+// Resolves the manifest's clip roles against the loaded animations
+export function resolveClips(id, entry, animations) {
+  const clips = {};
+
+  Object.entries(entry.clips).forEach(([role, spec]) => {
+    const source = THREE.AnimationClip.findByName(animations, spec.name);
+    if (!source) {
+      const available = animations.map((clip) => `"${clip.name}"`);
+      throw new Error(
+        `Model "${id}" has no clip "${spec.name}" for "${role}". ` +
+          `Available clips: ${available.join(", ") || "none"}`
+      );
+    }
+
+    const start = spec.start ?? detectIdleStart(source);
+    const end = spec.end ?? source.duration;
+    clips[role] = trimClip(source, start, end);
+  });
+
+  return clips;
+}
+
+// GLTF loader that also reads Draco and Meshopt compressed GLBs. The
+// decoders are served with the page, not from a CDN, and both paths resolve
+// against it: `dracoPath` is the folder holding draco_decoder.js and
+// draco_decoder.wasm, `meshoptPath` the meshopt_decoder.module.js file. The
+// defaults point at the copies from three's examples/jsm/libs in libs/.
+// Neither is fetched until a file needs it; pass null to turn a decoder off.
+export function createModelLoader({
+  dracoPath = "libs/draco/",
+  meshoptPath = "libs/meshopt_decoder.module.js",
+} = {}) {
+  const loader = new GLTFLoader();
+
+  let draco = null;
+  if (dracoPath) {
+    draco = new DRACOLoader();
+    draco.setDecoderPath(new URL(dracoPath, document.baseURI).href);
+    loader.setDRACOLoader(draco);
+  }
+
+  let meshopt = null;
+  if (meshoptPath) {
+    loader.register((parser) => ({
+      name: "meshopt_on_demand",
+      beforeRoot() {
+        const used = parser.json.extensionsUsed || [];
+        if (!used.includes("EXT_meshopt_compression")) return null;
+        if (!meshopt) {
+          meshopt = import(new URL(meshoptPath, document.baseURI).href)
+            .then(({ MeshoptDecoder }) =>
+              MeshoptDecoder.ready.then(() => MeshoptDecoder)
+            )
+            .catch((error) => {
+              // Let a retry fetch the decoder again
+              meshopt = null;
+              throw new Error(
+                `The Meshopt decoder could not be loaded from "${meshoptPath}": ${error.message}`
+              );
+            });
+        }
+        return meshopt.then((decoder) => {
+          loader.setMeshoptDecoder(decoder);
+          parser.options.meshoptDecoder = decoder;
+        });
+      },
+    }));
+  }
+
+  return {
+    loader,
+    dispose() {
+      if (draco) draco.dispose();
+    },
+  };
+}
+
+// Loads a registered model and centres, scales and trims it per its entry.
+// An unknown id rejects like a failed download. `entry` stands in for the
+// manifest's, for a model that was not registered.
+export function loadModel(loader, id, onProgress, entry) {
+  return Promise.resolve()
+    .then(() => {
+      entry = entry ?? getModelEntry(id);
+      return loader.loadAsync(entry.url, onProgress);
+    })
+    .then((gltf) => {
+      const model = gltf.scene;
+
+      const box = new THREE.Box3().setFromObject(model);
+      const size = box.getSize(new THREE.Vector3()).length();
+      const center = box.getCenter(new THREE.Vector3());
+      model.position.sub(center);
+      model.scale.setScalar(entry.size / size);
+      model.position.y = entry.offsetY;
+      model.rotation.y = 0;
+
+      const clips = resolveClips(id, entry, gltf.animations);
+      return { id, entry, gltf, model, clips };
+    });
+}
@@ -0,0 +1,91 @@
+// The parts of the particle trail that need no GPU: the emission clock, the
+// ring of particle slots and the lifetime curves. Free of three.js so they
+// can be tested in Node.
+
+// Adds `delta` to `clock.timer` and calls `onEmit(lag)` once per whole
+// `interval` elapsed, `lag` being how long ago that emission fell due, so a
+// batch caught up in one step keeps its sub-step timing. Returns the number
+// of emissions.
+export function tickEmission(clock, delta, interval, onEmit) {
+  let emitted = 0;
+  clock.timer += delta;
+  while (clock.timer >= interval) {
+    clock.timer -= interval;
+    onEmit(clock.timer);
+    emitted++;
+  }
+  return emitted;
+}
+
+// [start, count] runs covering `count` slots from `start` of a ring of
+// `capacity`, split where it wraps. At most the whole ring is covered.
+export function slotRuns(start, count, capacity) {
+  const covered = Math.min(count, capacity);
+  const firstRun = Math.min(covered, capacity - start);
+  const runs = [];
+  if (firstRun > 0) runs.push([start, firstRun]);
+  if (covered > firstRun) runs.push([0, covered - firstRun]);
+  return runs;
+}
+
+// Cursor over `capacity` particle slots, reusing the oldest first. Slots
+// claimed since the last takePending() are the ones to upload.
+export function createSlotRing(capacity) {
+  let index = 0;
+  let pendingStart = 0;
+  let pending = 0;
+
+  function claim() {
+    const slot = index;
+    index = (index + 1) % capacity;
+    pending++;
+    return slot;
+  }
+
+  // Runs of the slots claimed since the last call, see slotRuns()
+  function takePending() {
+    const runs = slotRuns(pendingStart, pending, capacity);
+    pendingStart = index;
+    pending = 0;
+    return runs;
+  }
+
+  return {
+    claim,
+    takePending,
+    get index() {
+      return index;
+    },
+    get capacity() {
+      return capacity;
+    },
+    set capacity(value) {
+      capacity = value;
+      if (index >= capacity) index = 0;
+      if (pendingStart >= capacity) pendingStart = 0;
+    },
+  };
+}
+
+// Piecewise linear value of [t, ...values] stops at `t`; `read` maps a stop
+// to the numbers interpolated. Outside the stops the end values hold.
+export function sampleStops(stops, t, read) {
+  const sorted = [...stops].sort((a, b) => a[0] - b[0]);
+  const upper = sorted.findIndex((stop) => stop[0] >= t);
+  if (upper === -1) return read(sorted[sorted.length - 1]);
+  if (upper === 0) return read(sorted[0]);
+  const a = sorted[upper - 1];
+  const b = sorted[upper];
+  const f = (t - a[0]) / (b[0] - a[0] || 1);
+  const from = read(a);
+  const to = read(b);
+  return from.map((value, i) => value + (to[i] - value) * f);
+}
+
+// `samples` evenly spaced values of the stops over a particle's life, from
+// birth (t = 0) to death (t = 1)
+export function bakeStops(stops, samples, read) {
+  return Array.from({ length: samples }, (_, i) =>
+    sampleStops(stops, i / (samples - 1), read)
+  );
+}
@@ -0,0 +1,178 @@
+import { getAnimal, matchAnimal, QUIZ, scoreAnswers } from "./spirits.js";
+
+const ACCENT = "114,188,198";
+
+// Link that boots straight into `animalId`, keeping the page's other options
+export function getShareUrl(animalId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("patronus", animalId);
+  return url.toString();
+}
+
+function createButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.cssText =
+    "display:block;width:100%;margin:8px 0;padding:10px 14px;" +
+    `font:inherit;color:#dff6fa;background:rgba(${ACCENT},0.12);` +
+    `border:1px solid rgba(${ACCENT},0.5);border-radius:6px;cursor:pointer;`;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// The in-page Patronus Test: a short questionnaire whose answers are matched
+// against the spirit animal registry. The result screen offers to cast the
+// patronus (handed to `onCast`), share a link to it, or start over.
+// `launcher: false` hides the corner button for pages that open the test
+// themselves.
+export function createPatronusTest({
+  container = document.body,
+  onCast,
+  launcher: showLauncher = true,
+}) {
+  let answers = [];
+  let isOpen = false;
+
+  const launcher = createButton("Patronus Test", () => open());
+  launcher.style.cssText +=
+    "position:absolute;right:24px;bottom:24px;width:auto;margin:0;" +
+    "font-family:Georgia,serif;";
+  launcher.style.display = showLauncher ? "block" : "none";
+  container.appendChild(launcher);
+
+  const overlay = document.createElement("div");
+  overlay.style.cssText =
+    "position:absolute;inset:0;display:none;align-items:center;" +
+    "justify-content:center;background:rgba(0,5,16,0.72);";
+  const panel = document.createElement("div");
+  panel.style.cssText =
+    "width:min(420px,86vw);padding:24px 28px;color:#dff6fa;" +
+    "font-family:Georgia,serif;background:rgba(0,12,24,0.9);" +
+    `border:1px solid rgba(${ACCENT},0.45);border-radius:10px;` +
+    `box-shadow:0 0 40px rgba(${ACCENT},0.25);`;
+  overlay.appendChild(panel);
+  overlay.addEventListener("click", (event) => {
+    if (event.target === overlay) close();
+  });
+  container.appendChild(overlay);
+
+  function render(...children) {
+    panel.replaceChildren(...children);
+  }
+
+  function text(tag, content, style = "") {
+    const element = document.createElement(tag);
+    element.textContent = content;
+    element.style.cssText = style;
+    return element;
+  }
+
+  function showIntro() {
+    render(
+      text("h2", "The Patronus Test", "margin:0 0 12px;font-weight:normal;"),
+      text(
+        "p",
+        "Answer without thinking too long. The charm answers to who you are, not who you mean to be.",
+        "margin:0 0 16px;line-height:1.5;opacity:0.85;"
+      ),
+      createButton("Begin", () => showQuestion(0)),
+      createButton("Not now", close)
+    );
+  }
+
+  function showQuestion(index) {
+    const question = QUIZ[index];
+    render(
+      text(
+        "div",
+        `${index + 1} / ${QUIZ.length}`,
+        "font-size:12px;letter-spacing:2px;opacity:0.6;"
+      ),
+      text("h3", question.prompt, "margin:8px 0 12px;font-weight:normal;"),
+      ...question.answers.map((answer, choice) =>
+        createButton(answer.label, () => {
+          answers[index] = choice;
+          if (index + 1 < QUIZ.length) showQuestion(index + 1);
+          else showResult(matchAnimal(scoreAnswers(answers)));
+        })
+      )
+    );
+  }
+
+  function showResult(animalId) {
+    const animal = getAnimal(animalId);
+    const status = text("div", "", "min-height:1.4em;font-size:13px;");
+    render(
+      text(
+        "div",
+        "Your patronus is",
+        "font-size:12px;letter-spacing:2px;opacity:0.6;"
+      ),
+      text("h2", animal.name, "margin:6px 0 12px;font-weight:normal;"),
+      text("p", animal.description, "margin:0 0 16px;line-height:1.5;"),
+      createButton("Expecto Patronum", () => {
+        close();
+        onCast(animalId);
+      }),
+      createButton("Share", () => share(animalId, status)),
+      createButton("Take the test again", () => {
+        answers = [];
+        showQuestion(0);
+      }),
+      status
+    );
+  }
+
+  function share(animalId, status) {
+    const url = getShareUrl(animalId);
+    const fallback = () => {
+      status.textContent = url;
+      status.style.userSelect = "all";
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(url)
+        .then(() => (status.textContent = "Link copied"))
+        .catch(fallback);
+    } else {
+      fallback();
+    }
+  }
+
+  function open() {
+    answers = [];
+    showIntro();
+    overlay.style.display = "flex";
+    launcher.style.display = "none";
+    isOpen = true;
+  }
+
+  function close() {
+    overlay.style.display = "none";
+    launcher.style.display = showLauncher ? "block" : "none";
+    isOpen = false;
+  }
+
+  function dispose() {
+    launcher.remove();
+    overlay.remove();
+  }
+
+  return {
+    open,
+    close,
+    showResult,
+    dispose,
+    get isOpen() {
+      return isOpen;
+    },
+    get launcher() {
+      return showLauncher;
+    },
+    set launcher(value) {
+      showLauncher = value;
+      if (!isOpen) launcher.style.display = showLauncher ? "block" : "none";
+    },
+  };
+}
@@ -0,0 +1,320 @@
+import * as THREE from "three";
+import { EffectComposer } from "jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "jsm/postprocessing/RenderPass.js";
+import { ShaderPass } from "jsm/postprocessing/ShaderPass.js";
+import { UnrealBloomPass } from "jsm/postprocessing/UnrealBloomPass.js";
+
+// Objects on this layer (deer, trail, grass) feed the selective bloom
+export const BLOOM_LAYER = 1;
+
+const TONE_MAPPERS = {
+  none: 0,
+  linear: 1,
+  reinhard: 2,
+  cineon: 3,
+  aces: 4,
+  agx: 5,
+};
+
+const fullscreenVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const BloomCompositeShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tBloom: { value: null },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tBloom;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = texture2D(tDiffuse, vUv) + vec4(texture2D(tBloom, vUv).rgb, 0.0);
+    }
+  `,
+};
+
+const HologramShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0.0 },
+    uAberration: { value: 0.004 },
+    uScanlines: { value: 0.12 },
+    uScanlineCount: { value: 320.0 },
+    uScanlineSpeed: { value: 1.5 },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uAberration;
+    uniform float uScanlines;
+    uniform float uScanlineCount;
+    uniform float uScanlineSpeed;
+    varying vec2 vUv;
+    void main() {
+      // Chromatic aberration grows towards the edges
+      vec2 offset = (vUv - 0.5) * uAberration;
+      vec4 base = texture2D(tDiffuse, vUv);
+      float r = texture2D(tDiffuse, vUv + offset).r;
+      float b = texture2D(tDiffuse, vUv - offset).b;
+      vec3 color = vec3(r, base.g, b);
+
+      float line = sin((vUv.y * uScanlineCount + uTime * uScanlineSpeed) * 3.14159) * 0.5 + 0.5;
+      color *= 1.0 - uScanlines * line;
+
+      gl_FragColor = vec4(color, base.a);
+    }
+  `,
+};
+
+const VignetteShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uStrength: { value: 0.6 },
+    uSoftness: { value: 0.55 },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uStrength;
+    uniform float uSoftness;
+    varying vec2 vUv;
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      float dist = length(vUv - 0.5) * 1.41421;
+      color.rgb *= 1.0 - uStrength * smoothstep(1.0 - uSoftness, 1.0, dist);
+      gl_FragColor = color;
+    }
+  `,
+};
+
+const ToneMappingShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uToneMapper: { value: TONE_MAPPERS.aces },
+  },
+  vertexShader: fullscreenVertexShader,
+  fragmentShader: `
+    #include <tonemapping_pars_fragment>
+    uniform sampler2D tDiffuse;
+    uniform int uToneMapper;
+    varying vec2 vUv;
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      if (uToneMapper == 1) color.rgb = LinearToneMapping(color.rgb);
+      else if (uToneMapper == 2) color.rgb = ReinhardToneMapping(color.rgb);
+      else if (uToneMapper == 3) color.rgb = OptimizedCineonToneMapping(color.rgb);
+      else if (uToneMapper == 4) color.rgb = ACESFilmicToneMapping(color.rgb);
+      else if (uToneMapper == 5) color.rgb = AgXToneMapping(color.rgb);
+      gl_FragColor = color;
+    }
+  `,
+};
+
+// Optional compositor that replaces the bare renderer.render() call. Bloom is
+// selective: only objects on BLOOM_LAYER are rendered into the bloom buffer,
+// against black instead of the scene background. When disabled, render()
+// falls straight through to renderer.render().
+//
+// The scene shaders write display values without an sRGB encode, so the
+// chain keeps that convention and writes its last pass out unconverted too.
+export function createPostProcessing({
+  renderer,
+  scene,
+  camera,
+  enabled = false,
+}) {
+  const size = renderer.getSize(new THREE.Vector2());
+
+  const bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  const bloomPass = new UnrealBloomPass(size.clone(), 0.9, 0.4, 0.05);
+  bloomComposer.addPass(new RenderPass(scene, camera));
+  bloomComposer.addPass(bloomPass);
+
+  const finalComposer = new EffectComposer(renderer);
+  const compositePass = new ShaderPass(BloomCompositeShader);
+  compositePass.uniforms.tBloom.value = bloomComposer.renderTarget2.texture;
+  const hologramPass = new ShaderPass(HologramShader);
+  hologramPass.enabled = false;
+  const vignettePass = new ShaderPass(VignetteShader);
+  const toneMappingPass = new ShaderPass(ToneMappingShader);
+  finalComposer.addPass(new RenderPass(scene, camera));
+  finalComposer.addPass(compositePass);
+  finalComposer.addPass(hologramPass);
+  finalComposer.addPass(vignettePass);
+  finalComposer.addPass(toneMappingPass);
+
+  const passes = {
+    bloom: {
+      pass: compositePass,
+      params: {
+        strength: (v) => (bloomPass.strength = v),
+        radius: (v) => (bloomPass.radius = v),
+        threshold: (v) => (bloomPass.threshold = v),
+      },
+      read: () => ({
+        strength: bloomPass.strength,
+        radius: bloomPass.radius,
+        threshold: bloomPass.threshold,
+      }),
+    },
+    hologram: {
+      pass: hologramPass,
+      params: {
+        aberration: (v) => (hologramPass.uniforms.uAberration.value = v),
+        scanlines: (v) => (hologramPass.uniforms.uScanlines.value = v),
+        scanlineCount: (v) => (hologramPass.uniforms.uScanlineCount.value = v),
+        scanlineSpeed: (v) => (hologramPass.uniforms.uScanlineSpeed.value = v),
+      },
+      read: () => ({
+        aberration: hologramPass.uniforms.uAberration.value,
+        scanlines: hologramPass.uniforms.uScanlines.value,
+        scanlineCount: hologramPass.uniforms.uScanlineCount.value,
+        scanlineSpeed: hologramPass.uniforms.uScanlineSpeed.value,
+      }),
+    },
+    vignette: {
+      pass: vignettePass,
+      params: {
+        strength: (v) => (vignettePass.uniforms.uStrength.value = v),
+        softness: (v) => (vignettePass.uniforms.uSoftness.value = v),
+      },
+      read: () => ({
+        strength: vignettePass.uniforms.uStrength.value,
+        softness: vignettePass.uniforms.uSoftness.value,
+      }),
+    },
+    toneMapping: {
+      pass: toneMappingPass,
+      params: {
+        mode: (v) => {
+          if (TONE_MAPPERS[v] === undefined) {
+            throw new Error(
+              `Unknown tone mapping "${v}". Available: ${Object.keys(TONE_MAPPERS).join(", ")}`
+            );
+          }
+          toneMappingPass.uniforms.uToneMapper.value = TONE_MAPPERS[v];
+        },
+        exposure: (v) => (renderer.toneMappingExposure = v),
+      },
+      read: () => ({
+        mode: Object.keys(TONE_MAPPERS).find(
+          (key) =>
+            TONE_MAPPERS[key] === toneMappingPass.uniforms.uToneMapper.value
+        ),
+        exposure: renderer.toneMappingExposure,
+      }),
+    },
+  };
+
+  // Updates one pass, e.g. configure("bloom", { enabled: true, strength: 1.4 })
+  function configure(name, options) {
+    const entry = passes[name];
+    if (!entry) {
+      throw new Error(
+        `Unknown pass "${name}". Available: ${Object.keys(passes).join(", ")}`
+      );
+    }
+    Object.entries(options).forEach(([key, value]) => {
+      if (key === "enabled") {
+        entry.pass.enabled = Boolean(value);
+      } else if (entry.params[key]) {
+        entry.params[key](value);
+      } else {
+        console.warn(`Pass "${name}" has no parameter "${key}"`);
+      }
+    });
+  }
+
+  function getSettings() {
+    const settings = {};
+    Object.entries(passes).forEach(([name, entry]) => {
+      settings[name] = { enabled: entry.pass.enabled, ...entry.read() };
+    });
+    return settings;
+  }
+
+  function setSize(width, height) {
+    const pixelRatio = renderer.getPixelRatio();
+    [bloomComposer, finalComposer].forEach((composer) => {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(width, height);
+    });
+  }
+
+  // MSAA for the scene render; the bloom buffer does not need it
+  function setSamples(samples) {
+    [finalComposer.renderTarget1, finalComposer.renderTarget2].forEach(
+      (target) => {
+        if (target.samples === samples) return;
+        target.samples = samples;
+        target.dispose();
+      }
+    );
+  }
+
+  // Background colour as the direct path shows it on screen, for the
+  // linear render targets
+  const displayBackground = new THREE.Color();
+
+  function render(time = 0) {
+    if (!enabled) {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    hologramPass.uniforms.uTime.value = time;
+    const background = scene.background;
+
+    if (compositePass.enabled) {
+      const cameraMask = camera.layers.mask;
+      scene.background = null;
+      camera.layers.set(BLOOM_LAYER);
+      bloomComposer.render();
+      camera.layers.mask = cameraMask;
+    }
+
+    if (background && background.isColor) {
+      scene.background = displayBackground
+        .copy(background)
+        .convertLinearToSRGB();
+    }
+    finalComposer.render();
+    scene.background = background;
+  }
+
+  function dispose() {
+    [bloomComposer, finalComposer].forEach((composer) => {
+      composer.passes.forEach((pass) => pass.dispose());
+      composer.dispose();
+    });
+  }
+
+  return {
+    render,
+    setSize,
+    setSamples,
+    configure,
+    dispose,
+    get settings() {
+      return getSettings();
+    },
+    get enabled() {
+      return enabled;
+    },
+    set enabled(value) {
+      enabled = Boolean(value);
+    },
+    get composers() {
+      return [bloomComposer, finalComposer];
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// Quality tiers, lowest first. Particle amounts are fractions of the scene's
+// baseline budget (the "high" tier); `antialias` is the MSAA sample count and
+// `reflection` the water mirror's resolution as a fraction of the canvas.
+export const QUALITY_PRESETS = {
+  low: {
+    grass: 0.3,
+    trail: 0.25,
+    emissionRate: 0.045,
+    pixelRatio: 1,
+    antialias: 0,
+    reflection: 0.25,
+  },
+  medium: {
+    grass: 0.6,
+    trail: 0.5,
+    emissionRate: 0.03,
+    pixelRatio: 1.25,
+    antialias: 0,
+    reflection: 0.35,
+  },
+  high: {
+    grass: 1,
+    trail: 1,
+    emissionRate: 0.02,
+    pixelRatio: 2,
+    antialias: 4,
+    reflection: 0.5,
+  },
+  ultra: {
+    grass: 1.5,
+    trail: 2,
+    emissionRate: 0.012,
+    pixelRatio: 3,
+    antialias: 8,
+    reflection: 0.75,
+  },
+};
+
+export const QUALITY_TIERS = Object.keys(QUALITY_PRESETS);
+
+// Frames longer than this (tab switches, breakpoints) are not measured
+const MAX_SAMPLE = 0.5;
+
+// Watches frame times over a rolling window and steps the tier when the
+// average leaves the target band. Upgrades need a longer stable stretch than
+// downgrades, every change is followed by a cooldown, and each downgrade out
+// of a tier doubles how long it takes to be allowed back into it.
+export function createQualityManager({
+  tier = "high",
+  auto = true,
+  targetFps = 60,
+  windowSize = 90,
+  downgradeRatio = 0.85,
+  upgradeRatio = 0.95,
+  upgradeDelay = 4,
+  cooldown = 2,
+  onChange = () => {},
+} = {}) {
+  if (!QUALITY_PRESETS[tier]) {
+    throw new Error(
+      `Unknown quality tier "${tier}". Available: ${QUALITY_TIERS.join(", ")}`
+    );
+  }
+
+  const samples = new Float32Array(windowSize);
+  let sampleCount = 0;
+  let sampleIndex = 0;
+  let sampleSum = 0;
+  let fps = targetFps;
+  let cooldownLeft = cooldown;
+  let stableTime = 0;
+  const backoff = {};
+  QUALITY_TIERS.forEach((name) => (backoff[name] = 1));
+
+  function resetWindow() {
+    sampleCount = 0;
+    sampleIndex = 0;
+    sampleSum = 0;
+    stableTime = 0;
+    cooldownLeft = cooldown;
+  }
+
+  function setTier(name) {
+    if (!QUALITY_PRESETS[name]) {
+      throw new Error(
+        `Unknown quality tier "${name}". Available: ${QUALITY_TIERS.join(", ")}`
+      );
+    }
+    if (name === tier) return;
+    tier = name;
+    resetWindow();
+    onChange(tier, QUALITY_PRESETS[tier]);
+  }
+
+  function step(direction) {
+    const index = QUALITY_TIERS.indexOf(tier) + direction;
+    if (index < 0 || index >= QUALITY_TIERS.length) return;
+    if (direction < 0) backoff[tier] *= 2;
+    setTier(QUALITY_TIERS[index]);
+  }
+
+  // Feed the unclamped frame delta in seconds once per frame
+  function sample(delta) {
+    if (!(delta > 0) || delta > MAX_SAMPLE) return;
+
+    if (sampleCount === windowSize) sampleSum -= samples[sampleIndex];
+    else sampleCount++;
+    samples[sampleIndex] = delta;
+    sampleSum += delta;
+    sampleIndex = (sampleIndex + 1) % windowSize;
+    fps = sampleCount / sampleSum;
+
+    if (!auto) return;
+    if (cooldownLeft > 0) {
+      cooldownLeft -= delta;
+      return;
+    }
+    if (sampleCount < windowSize) return;
+
+    if (fps < targetFps * downgradeRatio) {
+      step(-1);
+    } else if (fps >= targetFps * upgradeRatio) {
+      stableTime += delta;
+      const next = QUALITY_TIERS[QUALITY_TIERS.indexOf(tier) + 1];
+      if (next && stableTime >= upgradeDelay * backoff[next]) step(1);
+    } else {
+      stableTime = 0;
+    }
+  }
+
+  return {
+    sample,
+    setTier,
+    get tier() {
+      return tier;
+    },
+    get preset() {
+      return QUALITY_PRESETS[tier];
+    },
+    get fps() {
+      return fps;
+    },
+    get auto() {
+      return auto;
+    },
+    set auto(value) {
+      auto = Boolean(value);
+      resetWindow();
+    },
+  };
+}
@@ -0,0 +1,41 @@
+// Seeded random numbers so a scene can be replayed exactly. Each generator
+// is a mulberry32 stream returning floats in [0, 1) like Math.random().
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a, for string seeds and stream labels
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seed of an independent stream per subsystem, so that drawing more numbers
+// in one (say, a larger herd) does not reshuffle another (the grass)
+export function deriveSeed(seed, label) {
+  let hash = (seed ^ hashString(label)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Integer seeds are used as they are, anything else is hashed as a string,
+// and a missing seed draws a fresh one
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === "") {
+    return Math.floor(Math.random() * 4294967296);
+  }
+  const text = String(value);
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+
+// Ripples alive at once; the shader loops over this many slots
+export const MAX_RIPPLES = 16;
+
+// The meadow's three ambient ripples, circling the meadow origin. Each
+// `orbit` is an ellipse { x, z } radii wide, turning at `rate` rad/s from
+// `phase`.
+export const AMBIENT_RIPPLES = [
+  {
+    strength: 1.5,
+    radius: 6,
+    speed: 2,
+    wavenumber: 0.3,
+    orbit: { x: 4, z: 3, rate: 0.3, phase: 0 },
+  },
+  {
+    strength: 1.2,
+    radius: 5,
+    speed: 2.2,
+    wavenumber: 0.35,
+    orbit: { x: 3, z: 4, rate: 0.4, phase: Math.PI },
+  },
+  {
+    strength: 1.4,
+    radius: 7,
+    speed: 1.8,
+    wavenumber: 0.25,
+    orbit: { x: 5, z: 3, rate: 0.25, phase: Math.PI * 0.5 },
+  },
+];
+
+// Below this amplitude a decaying ripple is dropped
+const MIN_STRENGTH = 0.01;
+
+// Sum of the active ripples at `p`, for shaders. Offsets are wrapped by
+// `period` so ripples carry across the edge of a wrapping meadow. A ripple's
+// wave front spreads from its centre at speed / wavenumber.
+export const RIPPLE_GLSL = `
+  uniform vec4 uRipples[${MAX_RIPPLES}];
+  uniform vec4 uRippleShapes[${MAX_RIPPLES}];
+  uniform int uRippleCount;
+
+  float rippleField(vec2 p, float time, float period) {
+    float total = 0.0;
+    for (int i = 0; i < ${MAX_RIPPLES}; i++) {
+      if (i >= uRippleCount) break;
+      vec4 ripple = uRipples[i];
+      vec4 shape = uRippleShapes[i];
+      vec2 offset = mod(p - ripple.xy + period * 0.5, period) - period * 0.5;
+      float d = length(offset);
+      float age = time - ripple.w;
+      float front = clamp(age * shape.y / shape.z - d, 0.0, 1.0);
+      total += max(0.0, 1.0 - d / shape.x) *
+        sin(age * shape.y - d * shape.z) * ripple.z * front;
+    }
+    return total;
+  }
+`;
+
+// Bounded set of ripples in meadow coordinates, uploaded each frame for
+// RIPPLE_GLSL. A ripple has a position, a strength fading by `decay` per
+// second, a `radius` it reaches, and the `speed` and `wavenumber` of its
+// wave. Ripples with an `orbit` are emitters: they never decay and move
+// along their orbit. When every slot is taken, a new ripple replaces the
+// weakest decaying one.
+export function createRipples({
+  period = 24,
+  emitters = AMBIENT_RIPPLES,
+} = {}) {
+  const active = [];
+  const uniforms = {
+    uRipples: {
+      value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector4()),
+    },
+    uRippleShapes: {
+      value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector4()),
+    },
+    uRippleCount: { value: 0 },
+  };
+
+  function amplitude(ripple, time) {
+    return ripple.strength * Math.exp(-ripple.decay * (time - ripple.born));
+  }
+
+  function add(
+    {
+      x = 0,
+      z = 0,
+      strength = 1.2,
+      radius = 5,
+      decay = 0.6,
+      speed = 2.4,
+      wavenumber = 0.4,
+      orbit = null,
+    } = {},
+    time = 0
+  ) {
+    if (active.length >= MAX_RIPPLES) {
+      let weakest = null;
+      active.forEach((ripple) => {
+        if (ripple.orbit) return;
+        if (!weakest || amplitude(ripple, time) < amplitude(weakest, time)) {
+          weakest = ripple;
+        }
+      });
+      if (!weakest) {
+        throw new Error(`All ${MAX_RIPPLES} ripple slots hold emitters`);
+      }
+      remove(weakest);
+    }
+    const ripple = {
+      x,
+      z,
+      strength,
+      radius,
+      decay: orbit ? 0 : decay,
+      speed,
+      wavenumber,
+      orbit,
+      born: orbit ? 0 : time,
+    };
+    active.push(ripple);
+    return ripple;
+  }
+
+  function remove(ripple) {
+    const index = active.indexOf(ripple);
+    if (index !== -1) active.splice(index, 1);
+  }
+
+  function clear({ emitters: clearEmitters = false } = {}) {
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (clearEmitters || !active[i].orbit) active.splice(i, 1);
+    }
+  }
+
+  // Moves the emitters, drops faded ripples and uploads the rest relative to
+  // `scroll`, the meadow offset under the deer
+  function update(time, scroll) {
+    for (let i = active.length - 1; i >= 0; i--) {
+      const ripple = active[i];
+      if (ripple.orbit) {
+        const { x, z, rate, phase = 0 } = ripple.orbit;
+        ripple.x = Math.cos(time * rate + phase) * x;
+        ripple.z = Math.sin(time * rate + phase) * z;
+      } else if (amplitude(ripple, time) < MIN_STRENGTH) {
+        active.splice(i, 1);
+      }
+    }
+
+    active.forEach((ripple, i) => {
+      uniforms.uRipples.value[i].set(
+        THREE.MathUtils.euclideanModulo(ripple.x - scroll.x, period),
+        THREE.MathUtils.euclideanModulo(ripple.z - scroll.y, period),
+        amplitude(ripple, time),
+        ripple.born
+      );
+      uniforms.uRippleShapes.value[i].set(
+        ripple.radius,
+        ripple.speed,
+        ripple.wavenumber,
+        0
+      );
+    });
+    uniforms.uRippleCount.value = active.length;
+  }
+
+  emitters.forEach((emitter) => add(emitter));
+
+  return {
+    uniforms,
+    add,
+    remove,
+    clear,
+    update,
+    get count() {
+      return active.length;
+    },
+  };
+}
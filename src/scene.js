@@ -0,0 +1,1558 @@
+import * as THREE from "three";
+import { OrbitControls } from "jsm/controls/OrbitControls.js";
+import WebGL from "jsm/capabilities/WebGL.js";
+import { createThemeController, THEMES } from "./theme.js";
+import { createSky } from "./sky.js";
+import {
+  createModelLoader,
+  createModelEntry,
+  getModelEntry,
+  loadModel,
+  MODELS,
+  registerModel,
+} from "./models.js";
+import { createLocomotion, GAITS } from "./locomotion.js";
+import { createSteering } from "./steering.js";
+import {
+  createTrail,
+  DEFAULT_TRAIL_CURVES,
+  MAX_TRAIL_EMITTERS,
+} from "./trail.js";
+import { createHerd } from "./herd.js";
+import { createAudio } from "./audio.js";
+import { createWeather, WEATHER_PRESETS } from "./weather.js";
+import { getAnimal, registerAnimal, SPIRIT_ANIMALS } from "./spirits.js";
+import { createPatronusTest } from "./patronusTest.js";
+import { CAMERA_MODES, createCameraRig } from "./camera.js";
+import { createCapture, downloadBlob } from "./capture.js";
+import { createRandom, deriveSeed, parseSeed } from "./random.js";
+import { createTerrain, TERRAIN_GLSL } from "./terrain.js";
+import { createRipples, RIPPLE_GLSL } from "./ripples.js";
+import { createTrampleField, TRAMPLE_GLSL } from "./trample.js";
+import { createHologram, HOLOGRAM_VARIANTS } from "./hologram.js";
+import { createWater, GROUND_MODES } from "./water.js";
+import { createLoadingScreen } from "./loadingScreen.js";
+import { wrap } from "./wrap.js";
+import { clone as cloneSkinned } from "jsm/utils/SkeletonUtils.js";
+import { BLOOM_LAYER, createPostProcessing } from "./postprocessing.js";
+import {
+  createQualityManager,
+  QUALITY_PRESETS,
+  QUALITY_TIERS,
+} from "./quality.js";
+
+// The simulation advances in fixed steps and rendering interpolates between
+// the last two, so a seeded scene replays step for step at any frame rate
+const SIM_STEP = 1 / 60;
+// At most this many steps per frame; past that the scene slows down rather
+// than spiralling
+const MAX_SIM_STEPS = 5;
+// Weather changed through setOptions blends over this many seconds
+const WEATHER_FADE = 4;
+
+// Options only read while the scene is built
+const CONSTRUCTION_OPTIONS = [
+  "seed",
+  "grassBlades",
+  "trailParticles",
+  "radius",
+  "decoders",
+  "renderer",
+  "loader",
+  "autoStart",
+];
+
+// Builds the meadow inside `container` and returns a handle to drive it.
+// The canvas follows the container's size, so give it one; several scenes
+// can share a page. Options:
+//   seed            replays a scene exactly; drawn at random when left out
+//   quality         starting tier, see src/quality.js
+//   autoQuality     step the tier with the measured frame rate; off by
+//                   default when a seed is given, as the tier shapes the
+//                   simulation
+//   theme, colors   palette name and/or { accent, background, fog, light }
+//   model           id in the model manifest (src/models.js)
+//   modelUrl        GLB to load instead, known to this scene only under
+//                   its own url
+//   gait            starting gait of the deer
+//   interactive     steer the deer with the keyboard (while the container
+//                   has focus) or touch stick
+//   post            bloom and tone mapping
+//   herd            number of deer
+//   weather         preset name or partial weather state
+//   sky             { time, dayLength, frozen, stars, aurora }: hour of the
+//                   day (0 is midnight) and its cycle, see src/sky.js
+//   pointerRipples  clicking or tapping the grass ripples it
+//   hoofprints      hooves leave glowing prints in the grass
+//   hologram        deer look: { variant, fresnelPower, pulseRate, ... },
+//                   see HOLOGRAM_DEFAULTS in src/hologram.js
+//   trailCurves     colour, size and alpha over a trail particle's life,
+//                   see DEFAULT_TRAIL_CURVES in src/trail.js
+//   hills           height of the rolling ground; 0 is flat
+//   heightmap       tiling image to shape the ground with instead
+//   ground          "meadow", "water" or "both": the grass, a reflective
+//                   water plane, or the grass standing in the water
+//   audio           start unmuted
+//   camera          starting camera mode
+//   patronus        boots into a spirit animal, as if it had been cast
+//   patronusTest    show the Patronus Test launcher
+//   grassBlades, trailParticles, radius   meadow size at the "high" tier
+//   decoders        { draco, meshopt } paths of the local decoders for
+//                   compressed GLBs, see createModelLoader in src/models.js
+//   renderer        draw with this WebGLRenderer, or a stand-in, instead of
+//                   creating one; the scene disposes it with itself
+//   loader          fetch models with this instead of the GLTF loader: any
+//                   object with loadAsync(url, onProgress) resolving to a
+//                   { scene, animations } glTF
+//   autoStart       start the render loop right away
+export function createPatronusScene(container, options = {}) {
+  const {
+    seed: seedOption,
+    quality: qualityTier = "high",
+    autoQuality = seedOption === undefined || seedOption === null,
+    theme: themeName,
+    colors,
+    model: modelId = "stag",
+    modelUrl,
+    gait,
+    interactive = false,
+    post: postEnabled = false,
+    herd: herdSize = 1,
+    weather: weatherName,
+    sky: skyOptions = {},
+    pointerRipples = true,
+    hoofprints = true,
+    trailCurves,
+    hologram: hologramOptions = {},
+    hills = 0.6,
+    heightmap,
+    ground: groundOption = "meadow",
+    audio: audioEnabled = true,
+    camera: cameraMode = "orbit",
+    patronus: patronusId,
+    patronusTest: showPatronusTest = true,
+    grassBlades: numBlades = 20000,
+    trailParticles: baseTrailParticles = 50000,
+    radius: grassRadius = 12,
+    decoders = {},
+    renderer: rendererOption,
+    loader: loaderOption,
+    autoStart = true,
+  } = options;
+
+  // Overlays are positioned against the container
+  const containerPosition = container.style.position;
+  if (getComputedStyle(container).position === "static") {
+    container.style.position = "relative";
+  }
+  const containerWidth = () => Math.max(1, container.clientWidth);
+  const containerHeight = () => Math.max(1, container.clientHeight);
+
+  // === Loading screen ===
+  // Covers the container until the first deer is ready, and explains what
+  // went wrong when something fails
+  const loadingScreen = createLoadingScreen({ container });
+  loadingScreen.show();
+
+  // Leaves a message in place of the scene and gives up on it
+  function unsupported(reason) {
+    loadingScreen.fail(
+      "The patronus cannot appear here: this browser or device does not support WebGL."
+    );
+    throw new Error(`WebGL is not available: ${reason}`);
+  }
+
+  if (!rendererOption && !WebGL.isWebGLAvailable()) {
+    unsupported("no WebGL context");
+  }
+
+  // === Random ===
+  // Grass, trail, herd and rain draw from streams of one seed
+  const seed = parseSeed(seedOption);
+  const randomFor = (label) => createRandom(deriveSeed(seed, label));
+
+  // === Scene & Camera ===
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000510);
+  scene.fog = new THREE.Fog(0x000510, 10, 50);
+
+  const colorUniforms = {
+    uAccentColor: { value: new THREE.Color(0x72bcc6) },
+    uTime: { value: 0.0 },
+    // Multiplies every gl_PointSize; raised for high-resolution stills
+    uPointScale: { value: 1.0 },
+  };
+
+  const camera = new THREE.PerspectiveCamera(
+    60,
+    containerWidth() / containerHeight(),
+    0.1,
+    1000
+  );
+  camera.position.set(-4, 3, -6);
+
+  // === Renderer ===
+  // Context antialiasing can only be chosen once, from the starting tier
+  if (!QUALITY_PRESETS[qualityTier]) {
+    console.warn(
+      `Unknown quality tier "${qualityTier}". Available: ${QUALITY_TIERS.join(", ")}`
+    );
+  }
+  const initialQuality = QUALITY_PRESETS[qualityTier] ? qualityTier : "high";
+  let renderer = rendererOption;
+  if (!renderer) {
+    try {
+      renderer = new THREE.WebGLRenderer({
+        antialias: QUALITY_PRESETS[initialQuality].antialias > 0,
+      });
+    } catch (error) {
+      unsupported(error.message);
+    }
+  }
+  renderer.setSize(containerWidth(), containerHeight());
+  renderer.setPixelRatio(
+    Math.min(
+      window.devicePixelRatio,
+      QUALITY_PRESETS[initialQuality].pixelRatio
+    )
+  );
+  renderer.domElement.style.display = "block";
+  container.appendChild(renderer.domElement);
+
+  // === Lights ===
+  const ambientLight = new THREE.AmbientLight(0x00ffff, 0.3);
+  scene.add(ambientLight);
+
+  // Placed and dimmed by the sky as the moon moves
+  const moonLight = new THREE.DirectionalLight(0x00cccc, 1);
+  scene.add(moonLight);
+
+  // === Theme ===
+  const theme = createThemeController({
+    scene,
+    colorUniforms,
+    ambientLight,
+    keyLight: moonLight,
+  });
+  // A palette name first, then any colours overriding it
+  function applyTheme(name, overrides) {
+    try {
+      if (name) theme.setTheme(name);
+      if (overrides) theme.setTheme(overrides);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  }
+  applyTheme(themeName, colors);
+
+  // === Weather ===
+  // Owns the fog distances and the theme the fog colour, both before the sky
+  // shifts them with the time of day. Rain buffers are sized for the highest
+  // quality tier. Rain and mist reach a little past the grass.
+  const baseRainDrops = 6000;
+  const weather = createWeather({
+    scene,
+    colorUniforms,
+    radius: grassRadius + 2,
+    random: randomFor("weather"),
+    maxDrops: baseRainDrops * QUALITY_PRESETS.ultra.grass,
+  });
+  scene.add(weather.object);
+  if (weatherName) {
+    try {
+      weather.setWeather(weatherName);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  }
+
+  // === Sky ===
+  // Blends the theme's colours and the weather's fog toward the time of day
+  const sky = createSky({
+    scene,
+    colorUniforms,
+    ambientLight,
+    keyLight: moonLight,
+    theme,
+    weather,
+    random: randomFor("sky"),
+    ...skyOptions,
+  });
+  scene.add(sky.object);
+
+  // === Terrain ===
+  // Repeats with the grass wrap so the hills scroll with the blades
+  const terrain = createTerrain({
+    size: grassRadius * 2,
+    amplitude: hills,
+    random: randomFor("terrain"),
+  });
+  if (heightmap) {
+    terrain
+      .loadImage(heightmap)
+      .catch((error) => console.warn("Heightmap load error:", error));
+  }
+
+  // === Controls ===
+  // Limits and the other camera modes are set up by the camera rig below
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+
+  // === Audio ===
+  // Starts on the first click or key press
+  const audio = createAudio({
+    camera,
+    muted: !audioEnabled,
+    referenceSpeed: GAITS.run.speed,
+  });
+
+  // === Post-processing ===
+  const post = createPostProcessing({
+    renderer,
+    scene,
+    camera,
+    enabled: Boolean(postEnabled),
+  });
+
+  // === GLTF Loader (deer) ===
+  let deerModel;
+  let currentModelId = null;
+  let currentModel = null;
+  let modelRequest = 0;
+  const modelLoader = loaderOption
+    ? { loader: loaderOption, dispose() {} }
+    : createModelLoader({
+        dracoPath: decoders.draco,
+        meshoptPath: decoders.meshopt,
+      });
+  const locomotion = createLocomotion();
+  if (gait) {
+    try {
+      locomotion.setGait(gait, { ramp: 0 });
+    } catch (error) {
+      console.warn(error.message);
+    }
+  }
+
+  // Player steering (off unless `interactive`)
+  const steering = createSteering({
+    locomotion,
+    container,
+    enabled: Boolean(interactive),
+  });
+
+  // === Hologram ===
+  // Models fade in through the dissolve noise; swapped-out models dissolve
+  // away and are freed once they are gone
+  const hologram = createHologram({ colorUniforms, ...hologramOptions });
+  const retiring = new Set();
+
+  function applyHologram(model) {
+    hologram.apply(model);
+    model.traverse((child) => {
+      if (child.isMesh || child.isSkinnedMesh) {
+        child.frustumCulled = false;
+        child.layers.enable(BLOOM_LAYER);
+      }
+    });
+  }
+
+  function disposeModel(model) {
+    model.traverse((child) => {
+      if (child.isMesh) child.geometry.dispose();
+    });
+    hologram.release(model);
+  }
+
+  // Dissolves `model` and the followers cloned from it, then frees them.
+  // Followers share the leader's materials, so they dissolve together.
+  function retireModel(model, followers) {
+    const retired = { model, followers };
+    retiring.add(retired);
+    followers.forEach((follower) => scene.add(follower));
+    hologram.dissolve(model).then(() => {
+      if (!retiring.delete(retired)) return;
+      followers.forEach((follower) => scene.remove(follower));
+      scene.remove(model);
+      disposeModel(model);
+    });
+  }
+
+  // Loads a registered model and swaps it in once it is ready. The current deer
+  // stays on screen until then, and is kept if loading fails; once replaced
+  // it dissolves while the new one materializes. Progress and failures show
+  // on the loading screen. Resolves with the
+  // new model, or undefined when a later call superseded this one.
+  function setModel(id) {
+    const request = ++modelRequest;
+    const onProgress = (event) => {
+      if (request === modelRequest) {
+        loadingScreen.progress(event.loaded, event.total);
+      }
+    };
+
+    const loading = loadModel(
+      modelLoader.loader,
+      id,
+      onProgress,
+      urlModels[id]
+    );
+    // Nothing to look at until the first deer arrives
+    if (!deerModel) loadingScreen.show();
+
+    return loading.then(
+      ({ model, clips, entry }) => {
+        applyHologram(model);
+        if (request !== modelRequest) {
+          disposeModel(model);
+          return;
+        }
+
+        if (deerModel) {
+          const followers = herdMembers.map((member) => member.model);
+          clearHerd();
+          audio.untrack(deerModel);
+          trample.untrack(deerModel);
+          locomotion.detach();
+          retireModel(deerModel, followers);
+        }
+
+        deerModel = model;
+        currentModelId = id;
+        currentModel = { clips, entry };
+        scene.add(model);
+        hologram.materialize(model);
+        audio.track(model, { leader: true });
+        trample.track(model);
+        trail.attach(leaderEmitter, model, entry.emitters);
+
+        locomotion.attach(new THREE.AnimationMixer(model), clips, entry.gaits);
+        syncHerd();
+        loadingScreen.hide();
+        return model;
+      },
+      (error) => {
+        if (request === modelRequest) {
+          loadingScreen.fail(
+            `The patronus could not be summoned. ${error.message}`,
+            {
+              onRetry: () =>
+                setModel(id).catch((retryError) =>
+                  console.error("Model load error:", retryError)
+                ),
+              dismissible: Boolean(deerModel),
+            }
+          );
+        }
+        throw error;
+      }
+    );
+  }
+
+  // A GLB outside the manifest loads under its own url. It stays with this
+  // scene rather than joining the shared manifest, so other scenes on the
+  // page do not see it.
+  const urlModels = {};
+  function resolveModel(id, url) {
+    if (!url) return id;
+    if (!urlModels[url]) urlModels[url] = createModelEntry(url, { url });
+    return url;
+  }
+
+  // `patronus` boots into a spirit animal instead, see the Patronus Test
+  // below. An unknown model is warned about and replaced by the stag.
+  if (!patronusId) {
+    let initialModel = resolveModel(modelId, modelUrl);
+    try {
+      if (!urlModels[initialModel]) getModelEntry(initialModel);
+    } catch (error) {
+      console.warn(error.message);
+      initialModel = "stag";
+    }
+    setModel(initialModel).catch((error) =>
+      console.error("Model load error:", error)
+    );
+  }
+
+  // How far the meadow has scrolled under the deer, on the XZ plane: the
+  // simulated scroll at the last two steps and the one interpolated for the
+  // frame being drawn. Declared ahead of the camera rig, which reads it when
+  // it places its first pose.
+  const worldScroll = new THREE.Vector2();
+  const previousScroll = new THREE.Vector2();
+  const renderScroll = new THREE.Vector2();
+
+  // === Ripples ===
+  // Kept in meadow coordinates so they travel with the ground; the three
+  // ambient ripples are the default emitters
+  const ripples = createRipples({ period: grassRadius * 2 });
+
+  // Starts a ripple at (x, z) in scene coordinates, where the deer stands at
+  // the origin; see createRipples for the other settings
+  function addRipple({ x = 0, z = 0, ...settings } = {}) {
+    return ripples.add(
+      { ...settings, x: x + renderScroll.x, z: z + renderScroll.y },
+      colorUniforms.uTime.value
+    );
+  }
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const groundHit = new THREE.Vector3();
+
+  // Where a screen point meets the meadow: the ray is intersected with a
+  // level plane, raised to the hills under the last hit a few times over
+  function pickGround(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    groundPlane.constant = 0;
+    for (let i = 0; i < 3; i++) {
+      if (!raycaster.ray.intersectPlane(groundPlane, groundHit)) return null;
+      groundPlane.constant = -groundHeightAt(
+        groundHit.x + renderScroll.x,
+        groundHit.z + renderScroll.y
+      );
+    }
+    return Math.hypot(groundHit.x, groundHit.z) <= grassRadius
+      ? groundHit
+      : null;
+  }
+
+  // A click or tap ripples the grass; drags belong to the orbit controls
+  let pointerRipplesEnabled = pointerRipples;
+  let pointerStart = null;
+
+  function onPointerDown(event) {
+    pointerStart = { x: event.clientX, y: event.clientY };
+  }
+
+  function onPointerUp(event) {
+    if (!pointerStart || !pointerRipplesEnabled) return;
+    const moved = Math.hypot(
+      event.clientX - pointerStart.x,
+      event.clientY - pointerStart.y
+    );
+    pointerStart = null;
+    if (moved > 6) return;
+    const hit = pickGround(event.clientX, event.clientY);
+    if (hit) addRipple({ x: hit.x, z: hit.z, strength: 1.6 });
+  }
+
+  renderer.domElement.addEventListener("pointerdown", onPointerDown);
+  renderer.domElement.addEventListener("pointerup", onPointerUp);
+
+  // === Trampling ===
+  // Hooves and bodies push the grass aside and press it down; like the
+  // hills it tiles with the grass wrap
+  const trample = createTrampleField({
+    renderer,
+    period: grassRadius * 2,
+    hoofprints,
+  });
+
+  // === OPTIMIZED GRASS SYSTEM (Single Points Object) ===
+  // Baseline blade count; buffers are sized for the highest quality tier and
+  // the drawn range follows the current one
+  const maxBlades = Math.ceil(numBlades * QUALITY_PRESETS.ultra.grass);
+  const particlesPerBlade = 20;
+  const totalParticles = maxBlades * particlesPerBlade;
+
+  const grassGeometry = new THREE.BufferGeometry();
+  const grassPositions = new Float32Array(totalParticles * 3);
+  // Per-particle blade data for the vertex shader: baseX, t along blade, phase
+  const grassBlades = new Float32Array(totalParticles * 3);
+
+  // Blades are spread evenly over the square the grass wraps in; the shader
+  // clips them to the disc, so the density stays even while they scroll
+  const grassRandom = randomFor("grass");
+  let particleIndex = 0;
+  for (let bladeIdx = 0; bladeIdx < maxBlades; bladeIdx++) {
+    const baseX = (grassRandom() - 0.5) * grassRadius * 2;
+    const baseZ = (grassRandom() - 0.5) * grassRadius * 2;
+    const height = 0.2 + grassRandom() * 0.1;
+    const curve = (grassRandom() - 0.5) * 0.1;
+    const randomOffset = grassRandom() * Math.PI * 2;
+
+    for (let i = 0; i < particlesPerBlade; i++) {
+      const t = i / (particlesPerBlade - 1);
+      const x = baseX + curve * t * t;
+      const y = t * height;
+      const z = baseZ;
+
+      grassPositions[particleIndex * 3] = x;
+      grassPositions[particleIndex * 3 + 1] = y;
+      grassPositions[particleIndex * 3 + 2] = z;
+
+      grassBlades[particleIndex * 3] = baseX;
+      grassBlades[particleIndex * 3 + 1] = t;
+      grassBlades[particleIndex * 3 + 2] = randomOffset;
+
+      particleIndex++;
+    }
+  }
+
+  grassGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(grassPositions, 3)
+  );
+  grassGeometry.setAttribute(
+    "aBlade",
+    new THREE.BufferAttribute(grassBlades, 3)
+  );
+
+  // Positions are static; scrolling, waves and ripples run in the vertex shader
+  const grassMaterial = new THREE.ShaderMaterial({
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    uniforms: {
+      uTime: colorUniforms.uTime,
+      uAccentColor: colorUniforms.uAccentColor,
+      uOpacity: { value: 0.2 },
+      uSize: { value: 0.04 },
+      uRadius: { value: grassRadius },
+      uScroll: { value: new THREE.Vector2() },
+      ...ripples.uniforms,
+      uWind: weather.uniforms.uWind,
+      uGust: weather.uniforms.uGust,
+      uWindPhase: weather.uniforms.uWindPhase,
+      uPointScale: colorUniforms.uPointScale,
+      ...terrain.uniforms,
+      ...trample.uniforms,
+    },
+    vertexShader: `
+    uniform float uTime;
+    uniform float uSize;
+    uniform float uRadius;
+    uniform vec2 uScroll;
+    uniform vec2 uWind;
+    uniform float uGust;
+    uniform float uWindPhase;
+    uniform float uPointScale;
+    attribute vec3 aBlade;
+    varying float vSparkle;
+    varying float vPrint;
+    ${TERRAIN_GLSL}
+    ${RIPPLE_GLSL}
+    ${TRAMPLE_GLSL}
+
+    void main() {
+      float baseX = aBlade.x;
+      float t = aBlade.y;
+      float randomOffset = aBlade.z;
+
+      // Scroll against the deer's heading and wrap back into [-uRadius, uRadius),
+      // as wrapCentered() in src/wrap.js
+      vec2 grassXZ =
+        mod(vec2(baseX, position.z) - uScroll + uRadius, uRadius * 2.0) - uRadius;
+      float grassX = grassXZ.x;
+      float grassZ = grassXZ.y;
+
+      if (length(grassXZ) > uRadius) {
+        vSparkle = 0.0;
+        vPrint = 0.0;
+        gl_PointSize = 0.0;
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+        return;
+      }
+
+      float totalRippleBase = rippleField(grassXZ, uTime, uRadius * 2.0);
+
+      float influence = pow(t, 1.2);
+      float wave = sin(uTime + randomOffset + grassZ * 0.1) * influence;
+      float wave2 = cos(uTime * 0.8 + randomOffset * 2.0 + grassX * 0.08) * influence;
+      float wave3 = sin(uTime * 0.6 + grassZ * 0.15 + grassX * 0.12) * influence;
+      float totalRipple = totalRippleBase * influence;
+
+      // Wind bends blades downwind, harder under the passing gust fronts
+      float windSpeed = length(uWind);
+      vec2 windDir = windSpeed > 0.0 ? uWind / windSpeed : vec2(0.0);
+      float front = sin(dot(grassXZ, windDir) * 0.35 - uWindPhase) * 0.5 + 0.5;
+      float flutter = 1.0 + sin(uTime * 7.0 + randomOffset * 3.0) * 0.15 * uGust;
+      vec2 bend = uWind * (0.06 + front * uGust * 0.06) * flutter * influence;
+      bend *= min(1.0, 0.45 / max(length(bend), 1e-4));
+
+      // Hooves push blades aside and press them down; they spring back
+      // as the field fades
+      vec4 trampled = trampleAt(grassXZ + uScroll);
+      vec2 push = trampled.rg * 0.35 * influence;
+      float pressed = 1.0 - trampled.b * 0.75;
+      vPrint = trampled.a;
+
+      vec3 pos = vec3(
+        grassX + (position.x - baseX) + wave * 0.4 + wave2 * 0.2 + totalRipple * 0.4 + bend.x + push.x,
+        terrainHeight(grassXZ + uScroll) + (position.y - length(bend) * 0.35 * t) * pressed,
+        grassZ + wave3 * 0.15 + totalRipple * 0.25 + bend.y + push.y
+      );
+
+      float sparklePhase = pos.x * 10.0 + pos.z * 8.0;
+      vSparkle = sin(uTime * 2.0 + sparklePhase) * 0.5 + 0.5;
+      vSparkle = pow(vSparkle, 3.0);
+      
+      vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+      gl_PointSize = uSize * 300.0 / -mvPosition.z * uPointScale;
+      gl_Position = projectionMatrix * mvPosition;
+    }
+  `,
+    fragmentShader: `
+    uniform vec3 uAccentColor;
+    uniform float uOpacity;
+    varying float vSparkle;
+    varying float vPrint;
+    
+    void main() {
+      vec2 center = gl_PointCoord - vec2(0.5);
+      float dist = length(center);
+      if (dist > 0.5) discard;
+      
+      float alpha = smoothstep(0.8, 0.0, dist);
+      vec3 finalColor = mix(uAccentColor, uAccentColor * 2.0, vSparkle * 0.6);
+      finalColor += uAccentColor * vPrint * 1.5;
+      
+      gl_FragColor = vec4(
+        finalColor,
+        alpha * uOpacity * (1.0 + vSparkle * 0.5 + vPrint * 2.0)
+      );
+    }
+  `,
+  });
+
+  const grassPoints = new THREE.Points(grassGeometry, grassMaterial);
+  grassPoints.layers.enable(BLOOM_LAYER);
+  scene.add(grassPoints);
+
+  // === Water ===
+  // A dark mirror under the meadow, ruffled by the grass ripples. Its
+  // reflection is rendered only while it shows, at the quality tier's
+  // resolution.
+  const water = createWater({
+    renderer,
+    colorUniforms,
+    ripples,
+    scroll: grassMaterial.uniforms.uScroll,
+    period: grassRadius * 2,
+    resolution: QUALITY_PRESETS[initialQuality].reflection,
+  });
+  scene.add(water.object);
+
+  let groundMode = "meadow";
+
+  function setGround(mode) {
+    if (!GROUND_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown ground mode "${mode}". Available: ${GROUND_MODES.join(", ")}`
+      );
+    }
+    groundMode = mode;
+    grassPoints.visible = mode !== "water";
+    water.visible = mode !== "meadow";
+  }
+  setGround(GROUND_MODES.includes(groundOption) ? groundOption : "meadow");
+
+  // Height of what the deer stand on at (x, z) in meadow coordinates: the
+  // hills, or the water once the grass is gone
+  function groundHeightAt(x, z) {
+    return groundMode === "water" ? water.level : terrain.heightAt(x, z);
+  }
+
+  // === Camera rig ===
+  // Orbit keeps above the grass and within reach of it; the grass camera
+  // follows the ground under the scrolling meadow
+  const cameraRig = createCameraRig({
+    camera,
+    controls,
+    maxDistance: grassRadius * 1.2,
+    groundHeightAt: (x, z) =>
+      groundHeightAt(x + renderScroll.x, z + renderScroll.y),
+    mode: CAMERA_MODES.includes(cameraMode) ? cameraMode : "orbit",
+  });
+
+  // === PARTICLE TRAIL SYSTEM ===
+  // Buffers are sized for the highest quality tier
+  const trail = createTrail({
+    colorUniforms,
+    maxParticles: baseTrailParticles * QUALITY_PRESETS.ultra.trail,
+    referenceSpeed: GAITS.run.speed,
+    curves: { ...DEFAULT_TRAIL_CURVES, ...trailCurves },
+    wind: weather.uniforms.uWind,
+    random: randomFor("trail"),
+  });
+  trail.points.layers.enable(BLOOM_LAYER);
+  scene.add(trail.points);
+  const leaderEmitter = trail.createEmitter();
+
+  // === Herd ===
+  // Followers share the leader's geometry and hologram materials through
+  // skeleton-aware clones; each has its own mixer, phase and trail emitter.
+  const MAX_HERD = MAX_TRAIL_EMITTERS;
+  const herdTrailShare = 0.35;
+  const herdMembers = [];
+  const herd = createHerd({ radius: grassRadius, random: randomFor("herd") });
+  herd.setCount(THREE.MathUtils.clamp(Math.floor(herdSize) || 1, 1, MAX_HERD));
+
+  function addHerdMember(agent) {
+    const model = cloneSkinned(deerModel);
+    const mixer = new THREE.AnimationMixer(model);
+    locomotion.attach(mixer, currentModel.clips, currentModel.entry.gaits, {
+      phase: agent.phase,
+    });
+    scene.add(model);
+    audio.track(model);
+    trample.track(model);
+    const emitter = trail.createEmitter({
+      share: herdTrailShare,
+      phase: agent.phase * Math.PI * 2,
+    });
+    trail.attach(emitter, model, currentModel.entry.emitters);
+    herdMembers.push({
+      model,
+      mixer,
+      yaw: steering.heading,
+      previousYaw: steering.heading,
+      bank: 0,
+      previousBank: 0,
+      previousPosition: agent.position.clone(),
+      emitter,
+    });
+  }
+
+  function removeHerdMember() {
+    const member = herdMembers.pop();
+    locomotion.detach(member.mixer);
+    member.mixer.uncacheRoot(member.model);
+    trail.releaseEmitter(member.emitter);
+    audio.untrack(member.model);
+    trample.untrack(member.model);
+    scene.remove(member.model);
+  }
+
+  function clearHerd() {
+    while (herdMembers.length > 0) removeHerdMember();
+  }
+
+  // Matches the cloned followers to the flock size
+  function syncHerd() {
+    if (!deerModel) return;
+    while (herdMembers.length > herd.count - 1) removeHerdMember();
+    while (herdMembers.length < herd.count - 1) {
+      addHerdMember(herd.agents[herdMembers.length + 1]);
+    }
+  }
+
+  function setHerdSize(size) {
+    herd.setCount(THREE.MathUtils.clamp(Math.floor(size) || 1, 1, MAX_HERD));
+    syncHerd();
+  }
+
+  // === Patronus Test ===
+  // Casting throws a burst of trail particles out of the cast point, hands the
+  // scene to the animal's model and theme, and grows the model out of the light.
+  const castPoint = new THREE.Vector3(0, 1.2, 0);
+  let currentAnimal = null;
+  let growth = null;
+  let castRequest = 0;
+
+  function castPatronus(id) {
+    let animal;
+    try {
+      animal = getAnimal(id);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const cast = ++castRequest;
+    const previous = [deerModel, ...herdMembers.map((member) => member.model)];
+    previous.forEach((model) => model && (model.visible = false));
+    trail.burst(leaderEmitter, castPoint, 1500, { speed: 7 });
+    theme.setTheme(animal.theme, { duration: 1.5 });
+
+    // A cast that fails or is superseded by another model change brings the
+    // deer it hid back, unless a later cast has hidden them again
+    const reveal = () => {
+      if (cast !== castRequest) return;
+      previous.forEach((model) => model && (model.visible = true));
+    };
+
+    return setModel(animal.model).then(
+      (model) => {
+        if (!model) {
+          reveal();
+          return;
+        }
+        currentAnimal = id;
+        trail.burst(leaderEmitter, castPoint, 600, { speed: 2.5 });
+        growth = { elapsed: 0, duration: 1.6, scale: model.scale.clone() };
+        model.scale.setScalar(1e-3);
+      },
+      (error) => {
+        reveal();
+        throw error;
+      }
+    );
+  }
+
+  // Scales the leader and the herd from nothing up to their loaded size
+  function updateGrowth(delta) {
+    if (!growth) return;
+    growth.elapsed += delta;
+    const t = Math.min(growth.elapsed / growth.duration, 1);
+    const grow = Math.max(1 - Math.pow(1 - t, 3), 1e-3);
+    [deerModel, ...herdMembers.map((member) => member.model)].forEach((model) =>
+      model.scale.copy(growth.scale).multiplyScalar(grow)
+    );
+    if (t >= 1) growth = null;
+  }
+
+  const patronusTest = createPatronusTest({
+    container,
+    launcher: showPatronusTest,
+    onCast: (id) =>
+      castPatronus(id).catch((error) => console.error("Cast failed:", error)),
+  });
+
+  // An unknown `patronus` is warned about and boots the plain model instead
+  if (patronusId) {
+    let boot;
+    try {
+      getAnimal(patronusId);
+      boot = castPatronus(patronusId);
+    } catch (error) {
+      console.warn(error.message);
+      boot = setModel(resolveModel(modelId, modelUrl));
+    }
+    boot.catch((error) => console.error("Model load error:", error));
+  }
+
+  // === Adaptive quality ===
+  function applyQuality(preset) {
+    grassGeometry.setDrawRange(
+      0,
+      Math.round(numBlades * preset.grass) * particlesPerBlade
+    );
+
+    trail.setCapacity(Math.round(baseTrailParticles * preset.trail));
+    trail.emissionRate = preset.emissionRate;
+    weather.setCapacity(Math.round(baseRainDrops * preset.grass));
+
+    renderer.setPixelRatio(
+      Math.min(window.devicePixelRatio, preset.pixelRatio)
+    );
+    post.setSize(containerWidth(), containerHeight());
+    post.setSamples(preset.antialias);
+    water.resolution = preset.reflection;
+  }
+
+  const quality = createQualityManager({
+    tier: initialQuality,
+    auto: Boolean(autoQuality),
+    onChange: (tier, preset) => {
+      applyQuality(preset);
+      container.dispatchEvent(
+        new CustomEvent("patronus:quality", {
+          bubbles: true,
+          detail: { tier, fps: quality.fps },
+        })
+      );
+    },
+  });
+  applyQuality(quality.preset);
+
+  // === Resize ===
+  // Follows the container rather than the window
+  function resize() {
+    const width = containerWidth();
+    const height = containerHeight();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+    post.setSize(width, height);
+    water.resize();
+  }
+  const resizeObserver = new ResizeObserver(resize);
+  resizeObserver.observe(container);
+
+  // === Animate ===
+  const clock = new THREE.Clock();
+
+  const herdVelocity = new THREE.Vector2();
+  const deerHeading = new THREE.Vector2();
+
+  let simTime = 0;
+  let simSteps = 0;
+  let accumulator = 0;
+  let previousHeading = 0;
+  let previousBank = 0;
+
+  // Stands a deer at (x, z) on the ground under `scroll`, pitched with the
+  // slope along its yaw. Positive pitch about X tips the nose down. On
+  // water alone the ground is flat.
+  function placeOnTerrain(model, x, z, yaw, bank, scroll) {
+    const groundX = x + scroll.x;
+    const groundZ = z + scroll.y;
+    model.position.set(
+      x,
+      currentModel.entry.offsetY + groundHeightAt(groundX, groundZ),
+      z
+    );
+    const slope =
+      groundMode === "water"
+        ? 0
+        : terrain.slopeAt(groundX, groundZ, Math.sin(yaw), Math.cos(yaw));
+    model.rotation.set(-Math.atan(slope), yaw, bank, "YXZ");
+  }
+
+  function simulate(delta) {
+    previousScroll.copy(worldScroll);
+    previousHeading = steering.heading;
+    previousBank = steering.bank;
+    herdMembers.forEach((member, index) => {
+      member.previousPosition.copy(herd.agents[index + 1].position);
+      member.previousYaw = member.yaw;
+      member.previousBank = member.bank;
+    });
+
+    simTime += delta;
+    simSteps++;
+    const time = simTime;
+
+    theme.update(delta);
+
+    hologram.update(delta);
+
+    locomotion.update(delta);
+
+    // World scroll follows the deer's gait and heading
+    steering.update(delta);
+    const runSpeed = locomotion.speed;
+    steering.getForward(deerHeading);
+    worldScroll.addScaledVector(deerHeading, runSpeed * delta);
+    weather.update(delta, worldScroll);
+    sky.update(delta);
+
+    updateGrowth(delta);
+    if (deerModel) {
+      placeOnTerrain(
+        deerModel,
+        0,
+        0,
+        steering.heading,
+        steering.bank,
+        worldScroll
+      );
+    }
+
+    // Followers flock around the leader, face where they run and bank on
+    // their own turns
+    herd.update(delta);
+    herdMembers.forEach((member, index) => {
+      const agent = herd.agents[index + 1];
+      herdVelocity
+        .copy(deerHeading)
+        .multiplyScalar(runSpeed)
+        .add(agent.velocity);
+      let turnStep = 0;
+      if (herdVelocity.lengthSq() > 0.01) {
+        const targetYaw = Math.atan2(herdVelocity.x, herdVelocity.y);
+        const turn = Math.atan2(
+          Math.sin(targetYaw - member.yaw),
+          Math.cos(targetYaw - member.yaw)
+        );
+        turnStep = turn * (1 - Math.exp(-5 * delta));
+        member.yaw += turnStep;
+      }
+      member.bank = steering.lean(member.bank, turnStep / delta, delta);
+      placeOnTerrain(
+        member.model,
+        agent.position.x,
+        agent.position.y,
+        member.yaw,
+        member.bank,
+        worldScroll
+      );
+    });
+
+    trail.update(delta, time);
+    if (deerModel) {
+      deerModel.updateMatrixWorld();
+      trail.emit(leaderEmitter, delta, time, runSpeed);
+    }
+    herdMembers.forEach((member) => {
+      member.model.updateMatrixWorld();
+      trail.emit(member.emitter, delta, time, runSpeed);
+    });
+    trail.flush();
+    trample.update(delta, worldScroll);
+
+    // Hoof-falls read the foot bones posed above
+    audio.update(delta, {
+      speed: runSpeed,
+      pulse: hologram.pulseAt(time),
+    });
+  }
+
+  // Places everything that moves between the previous step (alpha 0) and the
+  // current one (alpha 1)
+  function present(alpha, time) {
+    colorUniforms.uTime.value = time;
+    renderScroll.lerpVectors(previousScroll, worldScroll, alpha);
+
+    const heading = THREE.MathUtils.lerp(
+      previousHeading,
+      steering.heading,
+      alpha
+    );
+    const bank = THREE.MathUtils.lerp(previousBank, steering.bank, alpha);
+    if (deerModel) placeOnTerrain(deerModel, 0, 0, heading, bank, renderScroll);
+    herdMembers.forEach((member, index) => {
+      const agent = herd.agents[index + 1];
+      placeOnTerrain(
+        member.model,
+        THREE.MathUtils.lerp(
+          member.previousPosition.x,
+          agent.position.x,
+          alpha
+        ),
+        THREE.MathUtils.lerp(
+          member.previousPosition.y,
+          agent.position.y,
+          alpha
+        ),
+        THREE.MathUtils.lerp(member.previousYaw, member.yaw, alpha),
+        THREE.MathUtils.lerp(member.previousBank, member.bank, alpha),
+        renderScroll
+      );
+    });
+
+    // Ripples travel with the ground
+    ripples.update(time, renderScroll);
+
+    // Kept wrapped so the shader's mod() stays precise on long sessions
+    grassMaterial.uniforms.uScroll.value.set(
+      wrap(renderScroll.x, grassRadius * 2),
+      wrap(renderScroll.y, grassRadius * 2)
+    );
+
+    return heading;
+  }
+
+  // Runs the simulation steps due for `rawDelta` and renders. `fixedStep`
+  // frames come from the capture and are neither measured nor capped.
+  function renderFrame(rawDelta, { fixedStep = false } = {}) {
+    if (!fixedStep) quality.sample(rawDelta);
+    accumulator += fixedStep ? rawDelta : Math.min(rawDelta, 0.25);
+    // The simulation waits for the first deer, so the steps of a seeded
+    // scene do not depend on how long the model took to download
+    if (!deerModel) accumulator = 0;
+
+    const maxSteps = fixedStep ? Infinity : MAX_SIM_STEPS;
+    let steps = 0;
+    while (accumulator >= SIM_STEP && steps < maxSteps) {
+      simulate(SIM_STEP);
+      accumulator -= SIM_STEP;
+      steps++;
+    }
+    // Drop a backlog the step cap could not work off
+    accumulator = Math.min(accumulator, SIM_STEP);
+
+    const alpha = accumulator / SIM_STEP;
+    const time = simTime - (1 - alpha) * SIM_STEP;
+    const heading = present(alpha, time);
+
+    const delta = fixedStep ? rawDelta : Math.min(rawDelta, 0.033);
+    cameraRig.update(delta, { heading });
+    sky.follow(camera);
+    post.render(time);
+  }
+
+  // === Capture ===
+  // Recording steps the scene itself at a fixed rate; the real-time loop
+  // idles meanwhile and skips the recorded stretch when it resumes
+  const capture = createCapture({
+    renderer,
+    scene,
+    camera,
+    pointScale: colorUniforms.uPointScale,
+    step: (delta) => renderFrame(delta, { fixedStep: true }),
+    onEnd: () => clock.getDelta(),
+  });
+
+  let frameId = null;
+  let disposed = false;
+
+  function animate() {
+    frameId = requestAnimationFrame(animate);
+    if (capture.active) return;
+    renderFrame(clock.getDelta());
+  }
+
+  function start() {
+    if (disposed || frameId !== null) return;
+    // Time spent stopped is not simulated
+    clock.getDelta();
+    animate();
+  }
+
+  function stop() {
+    if (frameId === null) return;
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+
+  // === Context loss ===
+  // The browser may drop the WebGL context (GPU reset, too many contexts).
+  // Preventing the default lets it come back; three.js then uploads every
+  // resource again on the next render.
+  let resumeAfterRestore = false;
+
+  function onContextLost(event) {
+    event.preventDefault();
+    resumeAfterRestore = frameId !== null;
+    stop();
+    loadingScreen.fail(
+      "The graphics context was lost. Waiting for it to return…"
+    );
+  }
+
+  function onContextRestored() {
+    loadingScreen.hide();
+    if (resumeAfterRestore) start();
+  }
+
+  renderer.domElement.addEventListener("webglcontextlost", onContextLost);
+  renderer.domElement.addEventListener(
+    "webglcontextrestored",
+    onContextRestored
+  );
+
+  function captureTo(filename, record) {
+    return record.then((blob) => {
+      downloadBlob(blob, filename);
+      return blob;
+    });
+  }
+
+  // === Live options ===
+  // Takes the same options as createPatronusScene, except those only read at
+  // construction. Resolves once a requested model or heightmap has loaded.
+  function setOptions(changes = {}) {
+    let loading = Promise.resolve();
+    Object.keys(changes).forEach((key) => {
+      if (CONSTRUCTION_OPTIONS.includes(key)) {
+        console.warn(`Option "${key}" can only be set when creating the scene`);
+      }
+    });
+
+    try {
+      if ("theme" in changes || "colors" in changes) {
+        applyTheme(changes.theme, changes.colors);
+      }
+      if ("quality" in changes) quality.setTier(changes.quality);
+      if ("autoQuality" in changes) quality.auto = Boolean(changes.autoQuality);
+      if ("post" in changes) post.enabled = Boolean(changes.post);
+      if ("interactive" in changes)
+        steering.enabled = Boolean(changes.interactive);
+      if ("audio" in changes) audio.muted = !changes.audio;
+      if ("weather" in changes) {
+        weather.setWeather(changes.weather, { duration: WEATHER_FADE });
+      }
+      if (changes.sky) {
+        const { time, dayLength, frozen, aurora } = changes.sky;
+        if (dayLength !== undefined) sky.dayLength = dayLength;
+        if (time !== undefined) sky.setTime(time);
+        if (frozen === true) sky.freeze();
+        if (frozen === false) sky.resume();
+        if (aurora !== undefined) sky.aurora = Boolean(aurora);
+      }
+      if ("hills" in changes) terrain.amplitude = changes.hills;
+      if ("ground" in changes) setGround(changes.ground);
+      if (changes.trailCurves) trail.setCurves(changes.trailCurves);
+      if (changes.hologram) {
+        const { variant, ...parameters } = changes.hologram;
+        if (variant) hologram.setVariant(variant);
+        hologram.configure(parameters);
+      }
+      if ("hoofprints" in changes) {
+        trample.hoofprints = Boolean(changes.hoofprints);
+      }
+      if ("pointerRipples" in changes) {
+        pointerRipplesEnabled = Boolean(changes.pointerRipples);
+      }
+      if (changes.heightmap) {
+        loading = terrain.loadImage(changes.heightmap);
+      }
+      if ("camera" in changes) cameraRig.setMode(changes.camera);
+      if ("gait" in changes) locomotion.setGait(changes.gait);
+      if ("herd" in changes) setHerdSize(changes.herd);
+      if ("patronusTest" in changes) {
+        patronusTest.launcher = Boolean(changes.patronusTest);
+      }
+      if ("patronus" in changes) {
+        loading = Promise.all([loading, castPatronus(changes.patronus)]);
+      } else if ("model" in changes || "modelUrl" in changes) {
+        loading = Promise.all([
+          loading,
+          setModel(
+            resolveModel(changes.model ?? currentModelId, changes.modelUrl)
+          ),
+        ]);
+      }
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return loading.then(() => {});
+  }
+
+  // Stops the scene and frees everything it created: GPU resources, the
+  // canvas, the overlays and every listener. The handle is dead afterwards.
+  function dispose() {
+    if (disposed) return;
+    stop();
+    capture.stop();
+    disposed = true;
+    // Models still loading are dropped when they arrive
+    modelRequest++;
+
+    resizeObserver.disconnect();
+    renderer.domElement.removeEventListener("pointerdown", onPointerDown);
+    renderer.domElement.removeEventListener("pointerup", onPointerUp);
+    renderer.domElement.removeEventListener("webglcontextlost", onContextLost);
+    renderer.domElement.removeEventListener(
+      "webglcontextrestored",
+      onContextRestored
+    );
+    steering.dispose();
+    audio.dispose();
+    patronusTest.dispose();
+    controls.dispose();
+
+    if (deerModel) {
+      clearHerd();
+      scene.remove(deerModel);
+      locomotion.detach();
+      disposeModel(deerModel);
+      deerModel = null;
+    }
+    retiring.forEach(({ model }) => disposeModel(model));
+    retiring.clear();
+    hologram.dispose();
+    grassGeometry.dispose();
+    grassMaterial.dispose();
+    water.dispose();
+    trail.dispose();
+    weather.dispose();
+    sky.dispose();
+    terrain.dispose();
+    trample.dispose();
+    post.dispose();
+    modelLoader.dispose();
+    loadingScreen.dispose();
+
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+    container.style.position = containerPosition;
+  }
+
+  if (autoStart) start();
+
+  return {
+    start,
+    stop,
+    setOptions,
+    dispose,
+    get running() {
+      return frameId !== null;
+    },
+    setTheme: theme.setTheme,
+    themes: Object.keys(THEMES),
+    addRipple,
+    clearRipples: ripples.clear,
+    trail: {
+      setCurves: trail.setCurves,
+      get curves() {
+        return trail.curves;
+      },
+    },
+    hologram: {
+      glitch: hologram.glitch,
+      setVariant: hologram.setVariant,
+      configure: hologram.configure,
+      variants: HOLOGRAM_VARIANTS,
+      get variant() {
+        return hologram.variant;
+      },
+      get parameters() {
+        return hologram.parameters;
+      },
+    },
+    setModel,
+    registerModel,
+    quality: {
+      setTier: quality.setTier,
+      tiers: QUALITY_TIERS,
+      get tier() {
+        return quality.tier;
+      },
+      get fps() {
+        return quality.fps;
+      },
+      get auto() {
+        return quality.auto;
+      },
+      set auto(value) {
+        quality.auto = value;
+      },
+    },
+    post: {
+      configure: post.configure,
+      get settings() {
+        return post.settings;
+      },
+      get enabled() {
+        return post.enabled;
+      },
+      set enabled(value) {
+        post.enabled = value;
+      },
+    },
+    capture: {
+      video: (options) =>
+        captureTo("patronus.webm", capture.recordVideo(options)),
+      frames: (options) =>
+        captureTo("patronus-frames.zip", capture.recordFrames(options)),
+      still: (options) =>
+        captureTo("patronus-still.png", capture.renderStill(options)),
+      stop: capture.stop,
+      get active() {
+        return capture.active;
+      },
+    },
+    camera: {
+      setMode: cameraRig.setMode,
+      setKeyframes: cameraRig.setKeyframes,
+      modes: CAMERA_MODES,
+      get mode() {
+        return cameraRig.mode;
+      },
+      get keyframes() {
+        return cameraRig.keyframes;
+      },
+    },
+    test: {
+      open: patronusTest.open,
+      close: patronusTest.close,
+      cast: castPatronus,
+      registerAnimal,
+      get animal() {
+        return currentAnimal;
+      },
+      get animals() {
+        return Object.keys(SPIRIT_ANIMALS);
+      },
+    },
+    weather: {
+      setWeather: weather.setWeather,
+      presets: Object.keys(WEATHER_PRESETS),
+      get name() {
+        return weather.name;
+      },
+      get wind() {
+        return weather.wind.clone();
+      },
+    },
+    sky: {
+      setTime: sky.setTime,
+      freeze: sky.freeze,
+      resume: sky.resume,
+      get time() {
+        return sky.time;
+      },
+      get frozen() {
+        return sky.frozen;
+      },
+      get daylight() {
+        return sky.daylight;
+      },
+      get dayLength() {
+        return sky.dayLength;
+      },
+      set dayLength(value) {
+        sky.dayLength = value;
+      },
+      get aurora() {
+        return sky.aurora;
+      },
+      set aurora(value) {
+        sky.aurora = value;
+      },
+    },
+    ground: {
+      setMode: setGround,
+      modes: GROUND_MODES,
+      get mode() {
+        return groundMode;
+      },
+    },
+    audio: {
+      setVolume: audio.setVolume,
+      get volume() {
+        return audio.volume;
+      },
+      get muted() {
+        return audio.muted;
+      },
+      set muted(value) {
+        audio.muted = value;
+      },
+    },
+    herd: {
+      setSize: setHerdSize,
+      get size() {
+        return herd.count;
+      },
+    },
+    steering: {
+      get enabled() {
+        return steering.enabled;
+      },
+      set enabled(value) {
+        steering.enabled = value;
+      },
+      get heading() {
+        return steering.heading;
+      },
+      set heading(value) {
+        steering.heading = value;
+      },
+    },
+    deer: {
+      setGait: locomotion.setGait,
+      setSpeed: locomotion.setSpeed,
+      get gait() {
+        return locomotion.gait;
+      },
+      get speed() {
+        return locomotion.speed;
+      },
+      get gaits() {
+        return locomotion.gaits;
+      },
+    },
+    get model() {
+      return currentModelId;
+    },
+    // Seed of this run and simulation steps taken; the same seed and step
+    // give the same frame
+    seed,
+    get frame() {
+      return simSteps;
+    },
+    get models() {
+      return Object.keys({ ...MODELS, ...urlModels });
+    },
+  };
+}
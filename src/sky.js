@@ -0,0 +1,392 @@
+import * as THREE from "three";
+
+// Sky objects sit this far from the camera and follow it, so they read as
+// infinitely far away. They ignore the fog.
+const SKY_RADIUS = 90;
+
+// The moon's path: it rises in the east (+x) at 18h, culminates this high
+// over +z at midnight, low enough to be seen behind the deer from the
+// default camera, and sets in the west at 6h. The sun runs opposite.
+const MOON_CULMINATION = THREE.MathUtils.degToRad(14);
+
+// Colours mixed into the theme's background and fog by daylight and by the
+// twilight around sunrise and sunset
+const DAY_SKY = new THREE.Color(0x2b4a68);
+const TWILIGHT_SKY = new THREE.Color(0x5a3550);
+
+// Ambient intensity at night and in full daylight; fog reaches this much
+// further by day
+const NIGHT_AMBIENT = 0.3;
+const DAY_AMBIENT = 0.9;
+const DAY_FOG_SCALE = 1.6;
+const MOON_INTENSITY = 1.2;
+
+// Aurora ribbons: bearing from +z, distance, height of the lower hem, size
+// and a seed varying their folds. They hang low over the far side of the
+// meadow from the default camera.
+const AURORA_RIBBONS = [
+  { angle: 0.15, distance: 60, height: 3, width: 90, tall: 16, seed: 0.3 },
+  { angle: -0.45, distance: 66, height: 5, width: 80, tall: 13, seed: 2.1 },
+  { angle: 0.75, distance: 70, height: 7, width: 70, tall: 11, seed: 4.7 },
+];
+
+const starVertexShader = `
+  attribute float aSize;
+  attribute float aPhase;
+
+  uniform float uTime;
+  uniform float uPointScale;
+  varying float vTwinkle;
+
+  void main() {
+    vTwinkle = 0.65 + 0.35 * sin(uTime * (1.2 + aPhase) + aPhase * 12.0);
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = aSize * uPointScale;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const starFragmentShader = `
+  uniform float uVisibility;
+  varying float vTwinkle;
+
+  void main() {
+    float d = length(gl_PointCoord - vec2(0.5));
+    float mask = 1.0 - smoothstep(0.1, 0.5, d);
+    gl_FragColor = vec4(vec3(0.85, 0.92, 1.0), mask * vTwinkle * uVisibility);
+  }
+`;
+
+// A camera-facing disk: the quad is laid out in view space around the
+// object's origin
+const billboardVertexShader = `
+  uniform float uSize;
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    vec4 mvPosition = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+    mvPosition.xy += position.xy * uSize;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const moonFragmentShader = `
+  uniform vec3 uAccentColor;
+  uniform float uVisibility;
+  varying vec2 vUv;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  float valueNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+      mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x),
+      f.y
+    );
+  }
+
+  void main() {
+    vec2 p = vUv - 0.5;
+    float r = length(p);
+    float disk = 1.0 - smoothstep(0.17, 0.18, r);
+    // Dark seas and a darker limb
+    float seas = valueNoise(p * 14.0) * 0.6 + valueNoise(p * 31.0) * 0.4;
+    float limb = 1.0 - pow(r / 0.18, 4.0) * 0.35;
+    vec3 surface = vec3(0.92, 0.95, 1.0) * (0.75 + 0.25 * seas) * limb;
+    float halo = exp(-r * 9.0) * 0.55;
+    vec3 color = surface * disk + uAccentColor * halo;
+    gl_FragColor = vec4(color, max(disk, halo) * uVisibility);
+  }
+`;
+
+const auroraVertexShader = `
+  uniform float uTime;
+  uniform float uSeed;
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    vec3 p = position;
+    // Slow folds along the ribbon, drifting sideways
+    float fold = sin(p.x * 0.06 + uTime * 0.07 + uSeed) * 6.0 +
+      sin(p.x * 0.13 - uTime * 0.11 + uSeed * 2.3) * 2.5;
+    p.z += fold;
+    p.y += sin(p.x * 0.04 + uTime * 0.05 + uSeed) * 1.5;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+  }
+`;
+
+const auroraFragmentShader = `
+  uniform float uTime;
+  uniform float uSeed;
+  uniform float uVisibility;
+  uniform vec3 uAccentColor;
+  varying vec2 vUv;
+
+  void main() {
+    // Vertical rays shimmering along the curtain
+    float rays = 0.55 + 0.45 * sin(vUv.x * 90.0 + sin(vUv.x * 13.0 + uTime * 0.4 + uSeed) * 4.0);
+    float curtain = smoothstep(0.0, 0.12, vUv.y) * pow(1.0 - vUv.y, 1.6);
+    float ends = smoothstep(0.0, 0.15, vUv.x) * smoothstep(1.0, 0.85, vUv.x);
+    // Brighter and whiter along the lower hem
+    vec3 color = mix(uAccentColor, vec3(0.85, 1.0, 0.95), (1.0 - vUv.y) * 0.35);
+    float alpha = curtain * ends * rays * 0.45 * uVisibility;
+    gl_FragColor = vec4(color * alpha, alpha);
+  }
+`;
+
+// The sky over the meadow: a twinkling starfield, a moon that is the scene's
+// key light, and aurora ribbons tinted by the accent colour, all driven by a
+// time-of-day clock. `time` is in hours (0 is midnight); the clock runs a
+// full day in `dayLength` seconds unless `frozen`. Daylight blends the
+// theme's background and fog (`theme.colors`) toward a day sky, pushes the
+// weather's fog distances (`weather.state`) back and raises the ambient
+// light; `keyLight` follows the moon. `random` can be a seeded generator.
+export function createSky({
+  scene,
+  colorUniforms,
+  ambientLight,
+  keyLight,
+  theme,
+  weather,
+  random = Math.random,
+  time = 0,
+  dayLength = 600,
+  frozen = true,
+  stars = 1500,
+  aurora = true,
+}) {
+  const object = new THREE.Group();
+
+  // === Stars ===
+  const starPositions = new Float32Array(stars * 3);
+  const starSizes = new Float32Array(stars);
+  const starPhases = new Float32Array(stars);
+  for (let i = 0; i < stars; i++) {
+    // Uniform over the sky above the horizon
+    const y = random();
+    const angle = random() * Math.PI * 2;
+    const ring = Math.sqrt(1 - y * y);
+    starPositions[i * 3] = Math.cos(angle) * ring * SKY_RADIUS;
+    starPositions[i * 3 + 1] = y * SKY_RADIUS;
+    starPositions[i * 3 + 2] = Math.sin(angle) * ring * SKY_RADIUS;
+    starSizes[i] = 1 + Math.pow(random(), 3) * 3;
+    starPhases[i] = random() * 3;
+  }
+  const starGeometry = new THREE.BufferGeometry();
+  starGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(starPositions, 3)
+  );
+  starGeometry.setAttribute("aSize", new THREE.BufferAttribute(starSizes, 1));
+  starGeometry.setAttribute("aPhase", new THREE.BufferAttribute(starPhases, 1));
+  const starMaterial = new THREE.ShaderMaterial({
+    vertexShader: starVertexShader,
+    fragmentShader: starFragmentShader,
+    uniforms: {
+      uTime: colorUniforms.uTime,
+      uPointScale: colorUniforms.uPointScale,
+      uVisibility: { value: 1 },
+    },
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const starField = new THREE.Points(starGeometry, starMaterial);
+  starField.frustumCulled = false;
+  starField.renderOrder = -2;
+  object.add(starField);
+
+  // === Moon ===
+  const moonMaterial = new THREE.ShaderMaterial({
+    vertexShader: billboardVertexShader,
+    fragmentShader: moonFragmentShader,
+    uniforms: {
+      uSize: { value: 16 },
+      uAccentColor: colorUniforms.uAccentColor,
+      uVisibility: { value: 1 },
+    },
+    transparent: true,
+    depthWrite: false,
+  });
+  const moon = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), moonMaterial);
+  moon.frustumCulled = false;
+  moon.renderOrder = -1;
+  object.add(moon);
+
+  // === Aurora ===
+  const auroraGroup = new THREE.Group();
+  auroraGroup.visible = aurora;
+  const auroraVisibility = { value: 1 };
+  const ribbons = AURORA_RIBBONS.map(
+    ({ angle, distance, height, width, tall, seed }) => {
+      const geometry = new THREE.PlaneGeometry(width, tall, 96, 1);
+      geometry.translate(0, tall / 2, 0);
+      const material = new THREE.ShaderMaterial({
+        vertexShader: auroraVertexShader,
+        fragmentShader: auroraFragmentShader,
+        uniforms: {
+          uTime: colorUniforms.uTime,
+          uAccentColor: colorUniforms.uAccentColor,
+          uVisibility: auroraVisibility,
+          uSeed: { value: seed },
+        },
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending,
+      });
+      const ribbon = new THREE.Mesh(geometry, material);
+      ribbon.position.set(
+        Math.sin(angle) * distance,
+        height,
+        Math.cos(angle) * distance
+      );
+      ribbon.lookAt(0, height, 0);
+      ribbon.frustumCulled = false;
+      ribbon.renderOrder = -1;
+      auroraGroup.add(ribbon);
+      return ribbon;
+    }
+  );
+  object.add(auroraGroup);
+
+  // === Time of day ===
+  const moonDirection = new THREE.Vector3();
+  const background = new THREE.Color();
+  const fog = new THREE.Color();
+  let daylight = 0;
+
+  function setMoonDirection(hours) {
+    const angle = ((hours - 18) / 24) * Math.PI * 2;
+    moonDirection.set(
+      Math.cos(angle),
+      Math.sin(angle) * Math.sin(MOON_CULMINATION),
+      Math.sin(angle) * Math.cos(MOON_CULMINATION)
+    );
+  }
+
+  // Sky colour for a theme colour at the current daylight and twilight
+  function skyColor(target, base, twilight) {
+    return target
+      .copy(base)
+      .lerp(DAY_SKY, daylight * 0.85)
+      .lerp(TWILIGHT_SKY, twilight * 0.45);
+  }
+
+  function apply() {
+    setMoonDirection(time);
+    // Heights over the horizon from -1 to 1; the sun runs opposite the moon
+    const moonHeight = moonDirection.y / Math.sin(MOON_CULMINATION);
+    const sunHeight = -moonHeight;
+    daylight = THREE.MathUtils.smoothstep(sunHeight, -0.3, 0.8);
+    const twilight =
+      1 - THREE.MathUtils.smoothstep(Math.abs(sunHeight), 0, 0.6);
+    const night = 1 - THREE.MathUtils.smoothstep(sunHeight, -0.5, 0.3);
+
+    scene.background.copy(
+      skyColor(background, theme.colors.background, twilight)
+    );
+    scene.fog.color.copy(skyColor(fog, theme.colors.fog, twilight));
+    const fogScale = THREE.MathUtils.lerp(1, DAY_FOG_SCALE, daylight);
+    scene.fog.near = weather.state.fogNear * fogScale;
+    scene.fog.far = weather.state.fogFar * fogScale;
+    ambientLight.intensity = THREE.MathUtils.lerp(
+      NIGHT_AMBIENT,
+      DAY_AMBIENT,
+      daylight
+    );
+
+    const moonUp = THREE.MathUtils.smoothstep(moonHeight, -0.15, 0.3);
+    moon.position.copy(moonDirection).multiplyScalar(SKY_RADIUS * 0.95);
+    moonMaterial.uniforms.uVisibility.value = moonUp * (1 - daylight * 0.7);
+    keyLight.position.copy(moonDirection).multiplyScalar(20);
+    keyLight.intensity = moonUp * MOON_INTENSITY;
+
+    starMaterial.uniforms.uVisibility.value = night;
+    auroraVisibility.value = night;
+  }
+
+  // Jumps to `hours`; the clock keeps running unless frozen
+  function setTime(hours) {
+    time = THREE.MathUtils.euclideanModulo(hours, 24);
+    apply();
+  }
+
+  // Stops the clock, optionally at `hours`
+  function freeze(hours) {
+    frozen = true;
+    if (hours !== undefined) setTime(hours);
+  }
+
+  function resume() {
+    frozen = false;
+  }
+
+  // Advances the clock and re-blends the sky over the theme and weather;
+  // call once per step after both have updated
+  function update(delta) {
+    if (!frozen && dayLength > 0) {
+      time = THREE.MathUtils.euclideanModulo(
+        time + (delta / dayLength) * 24,
+        24
+      );
+    }
+    apply();
+  }
+
+  // Centres the sky on `camera`; call before rendering
+  function follow(camera) {
+    object.position.copy(camera.position);
+  }
+
+  function dispose() {
+    starGeometry.dispose();
+    starMaterial.dispose();
+    moon.geometry.dispose();
+    moonMaterial.dispose();
+    ribbons.forEach((ribbon) => {
+      ribbon.geometry.dispose();
+      ribbon.material.dispose();
+    });
+  }
+
+  setTime(time);
+
+  return {
+    object,
+    setTime,
+    freeze,
+    resume,
+    update,
+    follow,
+    dispose,
+    get time() {
+      return time;
+    },
+    get frozen() {
+      return frozen;
+    },
+    get dayLength() {
+      return dayLength;
+    },
+    set dayLength(value) {
+      dayLength = value;
+    },
+    get daylight() {
+      return daylight;
+    },
+    get aurora() {
+      return auroraGroup.visible;
+    },
+    set aurora(value) {
+      auroraGroup.visible = value;
+    },
+  };
+}
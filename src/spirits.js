@@ -0,0 +1,150 @@
+import { MODELS } from "./models.js";
+
+// Traits the quiz scores and every spirit animal is described by
+export const TRAITS = ["courage", "loyalty", "wisdom", "gentleness"];
+
+// Spirit animals the Patronus Test can reveal. Each entry declares:
+//   name         display name
+//   model        id in the model manifest (src/models.js)
+//   theme        palette name or { accent, background, fog, light } object
+//   traits       weight per trait; the closest match to the answers wins
+//   description  shown with the result
+export const SPIRIT_ANIMALS = {
+  stag: {
+    name: "Stag",
+    model: "stag",
+    theme: "patronus",
+    traits: { courage: 3, loyalty: 2, wisdom: 1.5, gentleness: 1 },
+    description:
+      "A guardian who steps forward first. Your patronus runs ahead of the herd and carries the light for those behind it.",
+  },
+  // The doe's model has no animation clips, so it stands still while the
+  // meadow scrolls under it
+  doe: {
+    name: "Doe",
+    model: "doe",
+    theme: "silver",
+    traits: { courage: 1, loyalty: 3, wisdom: 1.5, gentleness: 3 },
+    description:
+      "Quiet and steadfast. Your patronus keeps watch in stillness and stays long after others have gone.",
+  },
+};
+
+export const QUIZ = [
+  {
+    prompt: "A stranger is lost at the edge of the forest at dusk. You…",
+    answers: [
+      { label: "Walk them out myself", traits: { courage: 2, gentleness: 1 } },
+      { label: "Point out the safest path", traits: { wisdom: 2 } },
+      { label: "Stay with them until help comes", traits: { loyalty: 2 } },
+      { label: "Calm them before anything else", traits: { gentleness: 2 } },
+    ],
+  },
+  {
+    prompt: "Which sound do you trust most?",
+    answers: [
+      { label: "Thunder rolling in", traits: { courage: 2 } },
+      { label: "Rain on leaves", traits: { gentleness: 2 } },
+      { label: "A friend's footsteps", traits: { loyalty: 2 } },
+      { label: "An old clock ticking", traits: { wisdom: 2 } },
+    ],
+  },
+  {
+    prompt: "Your happiest memory is lit by…",
+    answers: [
+      { label: "A bonfire", traits: { courage: 1, loyalty: 1 } },
+      { label: "Moonlight", traits: { gentleness: 1, wisdom: 1 } },
+      { label: "A lamp left on for you", traits: { loyalty: 2 } },
+      {
+        label: "The first light of morning",
+        traits: { courage: 1, wisdom: 1 },
+      },
+    ],
+  },
+  {
+    prompt: "When the dementors come, you…",
+    answers: [
+      { label: "Stand in front of the others", traits: { courage: 3 } },
+      { label: "Hold on to the ones beside you", traits: { loyalty: 3 } },
+      { label: "Remember what they cannot take", traits: { wisdom: 3 } },
+      { label: "Breathe, and let the fear pass", traits: { gentleness: 3 } },
+    ],
+  },
+  {
+    prompt: "Pick a place to rest.",
+    answers: [
+      { label: "A ridge above the valley", traits: { courage: 2 } },
+      { label: "A meadow full of long grass", traits: { gentleness: 2 } },
+      { label: "The hearth at home", traits: { loyalty: 2 } },
+      { label: "A library after closing", traits: { wisdom: 2 } },
+    ],
+  },
+];
+
+export function registerAnimal(id, entry) {
+  if (!entry || !entry.model) {
+    throw new Error(`Spirit animal "${id}" needs at least a model`);
+  }
+  SPIRIT_ANIMALS[id] = {
+    name: id,
+    theme: "patronus",
+    traits: {},
+    description: "",
+    ...entry,
+  };
+  return SPIRIT_ANIMALS[id];
+}
+
+export function getAnimal(id) {
+  const animal = SPIRIT_ANIMALS[id];
+  if (!animal) {
+    throw new Error(
+      `Unknown spirit animal "${id}". Registered: ${Object.keys(SPIRIT_ANIMALS).join(", ")}`
+    );
+  }
+  if (!MODELS[animal.model]) {
+    throw new Error(
+      `Spirit animal "${id}" uses unregistered model "${animal.model}"`
+    );
+  }
+  return animal;
+}
+
+// Sums the traits of the chosen answers (one answer index per question)
+export function scoreAnswers(answers, quiz = QUIZ) {
+  const scores = {};
+  TRAITS.forEach((trait) => (scores[trait] = 0));
+  answers.forEach((choice, index) => {
+    const answer = quiz[index] && quiz[index].answers[choice];
+    if (!answer) return;
+    Object.entries(answer.traits).forEach(([trait, weight]) => {
+      scores[trait] = (scores[trait] || 0) + weight;
+    });
+  });
+  return scores;
+}
+
+// Picks the animal whose trait profile points the same way as the scores
+// (cosine similarity); earlier registry entries win ties
+export function matchAnimal(scores) {
+  const length = (vector) =>
+    Math.sqrt(TRAITS.reduce((sum, t) => sum + (vector[t] || 0) ** 2, 0));
+  const scoreLength = length(scores);
+
+  let best = null;
+  let bestSimilarity = -Infinity;
+  Object.entries(SPIRIT_ANIMALS).forEach(([id, animal]) => {
+    const animalLength = length(animal.traits);
+    if (scoreLength === 0 || animalLength === 0) return;
+    const dot = TRAITS.reduce(
+      (sum, t) => sum + (scores[t] || 0) * (animal.traits[t] || 0),
+      0
+    );
+    const similarity = dot / (scoreLength * animalLength);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      best = id;
+    }
+  });
+  return best ?? Object.keys(SPIRIT_ANIMALS)[0];
+}
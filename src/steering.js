@@ -0,0 +1,228 @@
+import * as THREE from "three";
+
+const TURN_KEYS = {
+  ArrowLeft: 1,
+  KeyA: 1,
+  ArrowRight: -1,
+  KeyD: -1,
+};
+const GAIT_KEYS = {
+  ArrowUp: 1,
+  KeyW: 1,
+  ArrowDown: -1,
+  KeyS: -1,
+};
+const GAMEPAD_DEADZONE = 0.15;
+
+// Player steering for the deer. Keyboard (arrows / WASD), the first gamepad
+// (left stick) and an on-screen touch stick turn the deer and change its
+// speed through the locomotion controller. The deer itself never leaves the
+// origin: `heading` tells the world which way to scroll, and `bank` is the
+// roll the model leans into turns with.
+export function createSteering({
+  locomotion,
+  container = document.body,
+  enabled = false,
+  turnRate = 1.6,
+  turnResponse = 6,
+  maxBank = 0.35,
+  bankResponse = 4,
+} = {}) {
+  let heading = 0;
+  let turn = 0;
+  let bank = 0;
+  const keys = new Set();
+  let touchInput = null;
+  let gamepadActive = false;
+
+  // === Keyboard ===
+  function isTyping(event) {
+    const tag = event.target && event.target.tagName;
+    return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+  }
+
+  function stepGait(direction) {
+    const gaits = locomotion.gaits;
+    const index = THREE.MathUtils.clamp(
+      gaits.indexOf(locomotion.targetGait) + direction,
+      0,
+      gaits.length - 1
+    );
+    locomotion.setGait(gaits[index]);
+  }
+
+  function onKeyDown(event) {
+    if (!enabled || isTyping(event)) return;
+    if (TURN_KEYS[event.code]) {
+      keys.add(event.code);
+      event.preventDefault();
+    } else if (GAIT_KEYS[event.code]) {
+      if (!event.repeat) stepGait(GAIT_KEYS[event.code]);
+      event.preventDefault();
+    }
+  }
+
+  function onKeyUp(event) {
+    keys.delete(event.code);
+  }
+
+  function onBlur() {
+    keys.clear();
+  }
+
+  // Keys are heard on the container rather than the window, so scenes
+  // embedded side by side each steer only while focused. A container that
+  // cannot take focus is given a tabindex; the page body hears every key
+  // pressed while nothing else is focused.
+  const focusable =
+    container === document.body || container.hasAttribute("tabindex");
+  if (!focusable) container.tabIndex = 0;
+  container.addEventListener("keydown", onKeyDown);
+  container.addEventListener("keyup", onKeyUp);
+  container.addEventListener("focusout", onBlur);
+  window.addEventListener("blur", onBlur);
+
+  // === Touch stick ===
+  const stick = document.createElement("div");
+  const knob = document.createElement("div");
+  stick.style.cssText =
+    "position:absolute;left:24px;bottom:24px;width:120px;height:120px;" +
+    "border-radius:50%;border:1px solid rgba(114,188,198,0.5);" +
+    "background:rgba(114,188,198,0.08);touch-action:none;display:none;";
+  knob.style.cssText =
+    "position:absolute;left:40px;top:40px;width:40px;height:40px;" +
+    "border-radius:50%;background:rgba(114,188,198,0.45);pointer-events:none;";
+  stick.appendChild(knob);
+  container.appendChild(stick);
+
+  function onStickMove(event) {
+    if (!touchInput || event.pointerId !== touchInput.pointerId) return;
+    const rect = stick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (event.clientX - rect.left - radius) / radius;
+    let y = (event.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    touchInput.x = x;
+    touchInput.y = y;
+    knob.style.transform = `translate(${x * radius * 0.66}px, ${y * radius * 0.66}px)`;
+    locomotion.setSpeed(Math.max(0, -y) * maxSpeed(), { ramp: 0.5 });
+  }
+
+  function onStickDown(event) {
+    touchInput = { pointerId: event.pointerId, x: 0, y: 0 };
+    stick.setPointerCapture(event.pointerId);
+    onStickMove(event);
+  }
+
+  function onStickUp(event) {
+    if (!touchInput || event.pointerId !== touchInput.pointerId) return;
+    touchInput = null;
+    knob.style.transform = "";
+  }
+
+  stick.addEventListener("pointerdown", onStickDown);
+  stick.addEventListener("pointermove", onStickMove);
+  stick.addEventListener("pointerup", onStickUp);
+  stick.addEventListener("pointercancel", onStickUp);
+
+  const hasTouch = "ontouchstart" in window || navigator.maxTouchPoints > 0;
+  function syncStick() {
+    stick.style.display = enabled && hasTouch ? "block" : "none";
+  }
+  syncStick();
+
+  function maxSpeed() {
+    return locomotion.gaitSpeed(locomotion.gaits[locomotion.gaits.length - 1]);
+  }
+
+  // === Gamepad ===
+  function readGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(pads).find((candidate) => candidate);
+    if (!pad) return 0;
+
+    const x = pad.axes[0] || 0;
+    const y = pad.axes[1] || 0;
+    if (Math.abs(y) > GAMEPAD_DEADZONE) {
+      gamepadActive = true;
+      locomotion.setSpeed(Math.max(0, -y) * maxSpeed(), { ramp: 0.5 });
+    } else if (gamepadActive) {
+      gamepadActive = false;
+      locomotion.setSpeed(0, { ramp: 0.8 });
+    }
+    return Math.abs(x) > GAMEPAD_DEADZONE ? -x : 0;
+  }
+
+  function update(delta) {
+    let input = 0;
+    if (enabled) {
+      keys.forEach((code) => (input += TURN_KEYS[code]));
+      if (touchInput) input -= touchInput.x;
+      input += readGamepad();
+      input = THREE.MathUtils.clamp(input, -1, 1);
+    }
+
+    // Ease the turn rate and the bank so the deer swings into curves
+    turn = THREE.MathUtils.damp(turn, input * turnRate, turnResponse, delta);
+    heading += turn * delta;
+
+    bank = lean(bank, turn, delta);
+  }
+
+  // `current` bank eased toward the lean of a deer turning at `turnSpeed`
+  // rad/s at the current speed. Followers bank on their own turns with it.
+  function lean(current, turnSpeed, delta) {
+    const speedFactor = Math.min(
+      1,
+      locomotion.speed / Math.max(maxSpeed(), 1e-3)
+    );
+    const targetBank = (-turnSpeed / turnRate) * maxBank * speedFactor;
+    return THREE.MathUtils.damp(current, targetBank, bankResponse, delta);
+  }
+
+  // Unit vector the deer faces, on the XZ plane
+  function getForward(target = new THREE.Vector2()) {
+    return target.set(Math.sin(heading), Math.cos(heading));
+  }
+
+  function dispose() {
+    container.removeEventListener("keydown", onKeyDown);
+    container.removeEventListener("keyup", onKeyUp);
+    container.removeEventListener("focusout", onBlur);
+    window.removeEventListener("blur", onBlur);
+    if (!focusable) container.removeAttribute("tabindex");
+    stick.remove();
+  }
+
+  return {
+    update,
+    getForward,
+    lean,
+    dispose,
+    get heading() {
+      return heading;
+    },
+    set heading(value) {
+      heading = value;
+    },
+    get bank() {
+      return bank;
+    },
+    get enabled() {
+      return enabled;
+    },
+    set enabled(value) {
+      enabled = Boolean(value);
+      if (!enabled) {
+        keys.clear();
+        touchInput = null;
+        knob.style.transform = "";
+      }
+      syncStick();
+    },
+  };
+}
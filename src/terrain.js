@@ -0,0 +1,172 @@
+import * as THREE from "three";
+
+// Lattice cells per period for each noise octave, and its weight
+const OCTAVES = [
+  { cells: 3, weight: 1 },
+  { cells: 6, weight: 0.45 },
+  { cells: 12, weight: 0.2 },
+];
+
+// Height lookup for shaders, matching heightAt() below texel for texel. The
+// heightmap is filtered by hand: float textures are not linearly filterable
+// everywhere.
+export const TERRAIN_GLSL = `
+  uniform sampler2D uHeightmap;
+  uniform float uTerrainSize;
+  uniform float uTerrainResolution;
+  uniform float uTerrainAmplitude;
+
+  float terrainTexel(vec2 cell) {
+    return texture2D(uHeightmap, (cell + 0.5) / uTerrainResolution).r;
+  }
+
+  float terrainHeight(vec2 p) {
+    vec2 cell = p / uTerrainSize * uTerrainResolution;
+    vec2 i = floor(cell);
+    vec2 f = cell - i;
+    float a = terrainTexel(i);
+    float b = terrainTexel(i + vec2(1.0, 0.0));
+    float c = terrainTexel(i + vec2(0.0, 1.0));
+    float d = terrainTexel(i + vec2(1.0, 1.0));
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y) * uTerrainAmplitude;
+  }
+`;
+
+// Periodic value noise summed over OCTAVES, normalized to [-1, 1]
+function generateHills(resolution, random) {
+  const field = new Float32Array(resolution * resolution);
+  OCTAVES.forEach(({ cells, weight }) => {
+    const lattice = new Float32Array(cells * cells).map(() => random());
+    const at = (x, z) => lattice[(z % cells) * cells + (x % cells)];
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const u = (x / resolution) * cells;
+        const v = (z / resolution) * cells;
+        const ix = Math.floor(u);
+        const iz = Math.floor(v);
+        // Cosine easing keeps the slopes continuous across cells
+        const fx = (1 - Math.cos((u - ix) * Math.PI)) / 2;
+        const fz = (1 - Math.cos((v - iz) * Math.PI)) / 2;
+        const top = THREE.MathUtils.lerp(at(ix, iz), at(ix + 1, iz), fx);
+        const bottom = THREE.MathUtils.lerp(
+          at(ix, iz + 1),
+          at(ix + 1, iz + 1),
+          fx
+        );
+        field[z * resolution + x] +=
+          THREE.MathUtils.lerp(top, bottom, fz) * weight;
+      }
+    }
+  });
+  return normalize(field);
+}
+
+function normalize(field) {
+  let min = Infinity;
+  let max = -Infinity;
+  field.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const range = max - min || 1;
+  return field.map((value) => ((value - min) / range) * 2 - 1);
+}
+
+// Rolling ground under the meadow. Heights repeat every `size` units on both
+// axes, so with `size` set to the grass wrap period the hills scroll with
+// the blades without a seam. The same heights are read on the CPU
+// (heightAt, slopeAt) and in shaders (TERRAIN_GLSL with `uniforms`).
+// Image heightmaps should tile; their red channel maps black to
+// -amplitude and white to +amplitude.
+export function createTerrain({
+  size = 24,
+  resolution = 128,
+  amplitude = 0.6,
+  random = Math.random,
+}) {
+  const texture = new THREE.DataTexture(
+    generateHills(resolution, random),
+    resolution,
+    resolution,
+    THREE.RedFormat,
+    THREE.FloatType
+  );
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = texture.minFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+
+  const uniforms = {
+    uHeightmap: { value: texture },
+    uTerrainSize: { value: size },
+    uTerrainResolution: { value: resolution },
+    uTerrainAmplitude: { value: amplitude },
+  };
+
+  function texel(x, z) {
+    return texture.image.data[
+      THREE.MathUtils.euclideanModulo(z, resolution) * resolution +
+        THREE.MathUtils.euclideanModulo(x, resolution)
+    ];
+  }
+
+  // Ground height at (x, z) in meadow coordinates
+  function heightAt(x, z) {
+    const u = (x / size) * resolution;
+    const v = (z / size) * resolution;
+    const ix = Math.floor(u);
+    const iz = Math.floor(v);
+    const fx = u - ix;
+    const fz = v - iz;
+    const top = THREE.MathUtils.lerp(texel(ix, iz), texel(ix + 1, iz), fx);
+    const bottom = THREE.MathUtils.lerp(
+      texel(ix, iz + 1),
+      texel(ix + 1, iz + 1),
+      fx
+    );
+    return (
+      THREE.MathUtils.lerp(top, bottom, fz) * uniforms.uTerrainAmplitude.value
+    );
+  }
+
+  // Rise over run along the unit direction (dirX, dirZ), averaged over
+  // `reach` units either side so small bumps do not rock the deer
+  function slopeAt(x, z, dirX, dirZ, reach = 0.8) {
+    const ahead = heightAt(x + dirX * reach, z + dirZ * reach);
+    const behind = heightAt(x - dirX * reach, z - dirZ * reach);
+    return (ahead - behind) / (reach * 2);
+  }
+
+  // Replaces the hills with an image, resampled to the heightmap resolution
+  function loadImage(url) {
+    return new THREE.ImageLoader().loadAsync(url).then((image) => {
+      const canvas = document.createElement("canvas");
+      canvas.width = canvas.height = resolution;
+      const context = canvas.getContext("2d", { willReadFrequently: true });
+      context.drawImage(image, 0, 0, resolution, resolution);
+      const pixels = context.getImageData(0, 0, resolution, resolution).data;
+      const data = texture.image.data;
+      for (let i = 0; i < data.length; i++) {
+        data[i] = (pixels[i * 4] / 255) * 2 - 1;
+      }
+      texture.needsUpdate = true;
+    });
+  }
+
+  function dispose() {
+    texture.dispose();
+  }
+
+  return {
+    uniforms,
+    heightAt,
+    slopeAt,
+    loadImage,
+    dispose,
+    get amplitude() {
+      return uniforms.uTerrainAmplitude.value;
+    },
+    set amplitude(value) {
+      uniforms.uTerrainAmplitude.value = value;
+    },
+  };
+}
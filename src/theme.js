@@ -0,0 +1,121 @@
+import * as THREE from "three";
+
+// Named palettes. `light` tints the ambient light; the key light (the moon)
+// gets a slightly dimmer version of it.
+export const THEMES = {
+  patronus: {
+    accent: 0x72bcc6,
+    background: 0x000510,
+    fog: 0x000510,
+    light: 0x00ffff,
+  },
+  silver: {
+    accent: 0xc8d6e5,
+    background: 0x04060a,
+    fog: 0x04060a,
+    light: 0xdde8ff,
+  },
+  gold: {
+    accent: 0xe8b85a,
+    background: 0x080502,
+    fog: 0x080502,
+    light: 0xffcf73,
+  },
+  violet: {
+    accent: 0xa883f0,
+    background: 0x05020d,
+    fog: 0x05020d,
+    light: 0xb98cff,
+  },
+};
+
+const THEME_KEYS = ["accent", "background", "fog", "light"];
+const KEY_LIGHT_FACTOR = 0.8;
+
+// Drives every themed colour in the scene from one place. Accepts a palette
+// name or a partial { accent, background, fog, light } object; keys that are
+// left out keep their current value.
+export function createThemeController({
+  scene,
+  colorUniforms,
+  ambientLight,
+  keyLight,
+}) {
+  const current = {
+    accent: colorUniforms.uAccentColor.value.clone(),
+    background: scene.background.clone(),
+    fog: scene.fog.color.clone(),
+    light: ambientLight.color.clone(),
+  };
+  let currentName = null;
+  let fade = null;
+
+  function resolve(theme) {
+    const palette =
+      typeof theme === "string"
+        ? THEMES[theme]
+        : typeof theme === "object" && theme !== null
+          ? theme
+          : undefined;
+    if (!palette) {
+      throw new Error(
+        `Unknown theme "${theme}". Available: ${Object.keys(THEMES).join(", ")}`
+      );
+    }
+    return palette;
+  }
+
+  function apply(colors) {
+    colorUniforms.uAccentColor.value.copy(colors.accent);
+    scene.background.copy(colors.background);
+    scene.fog.color.copy(colors.fog);
+    ambientLight.color.copy(colors.light);
+    keyLight.color.copy(colors.light).multiplyScalar(KEY_LIGHT_FACTOR);
+  }
+
+  function setTheme(theme, { duration = 0 } = {}) {
+    const palette = resolve(theme);
+    const target = {};
+    THEME_KEYS.forEach((key) => {
+      target[key] =
+        palette[key] !== undefined
+          ? new THREE.Color(palette[key])
+          : (fade ? fade.to[key] : current[key]).clone();
+    });
+    currentName = typeof theme === "string" ? theme : null;
+
+    if (duration > 0) {
+      const from = {};
+      THEME_KEYS.forEach((key) => (from[key] = current[key].clone()));
+      fade = { from, to: target, elapsed: 0, duration };
+      return;
+    }
+
+    fade = null;
+    THEME_KEYS.forEach((key) => current[key].copy(target[key]));
+    apply(current);
+  }
+
+  // Advances a running crossfade; call once per frame before rendering
+  function update(delta) {
+    if (!fade) return;
+    fade.elapsed = Math.min(fade.elapsed + delta, fade.duration);
+    const t = THREE.MathUtils.smoothstep(fade.elapsed, 0, fade.duration);
+    THEME_KEYS.forEach((key) =>
+      current[key].copy(fade.from[key]).lerp(fade.to[key], t)
+    );
+    apply(current);
+    if (fade.elapsed >= fade.duration) fade = null;
+  }
+
+  return {
+    setTheme,
+    update,
+    get name() {
+      return currentName;
+    },
+    get colors() {
+      return current;
+    },
+  };
+}
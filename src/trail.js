@@ -0,0 +1,494 @@
+import * as THREE from "three";
+import { bakeStops, createSlotRing, tickEmission } from "./particles.js";
+
+// Emitters ride along with their source: each owns an anchor slot holding its
+// accumulated displacement, and its live particles are offset by it
+export const MAX_TRAIL_EMITTERS = 32;
+
+// Emission intervals are given for the "high" tier; `emissionRate` (the
+// interval of the quality tier) scales them
+const REFERENCE_INTERVAL = 0.02;
+
+// Lifetime curves are baked into this many evenly spaced samples
+const CURVE_SAMPLES = 16;
+
+// Emitter definitions: where and how a deer sheds trail particles. A model
+// can declare its own list as `emitters` in the manifest (src/models.js).
+//   bone      name or RegExp of the bones to emit from, each match emitting;
+//             left out, the deer's origin
+//   offset    [right, up, forward] from the bone, in the deer's level frame
+//   rate      bursts per second
+//   count     particles per burst
+//   spread    width of the box a burst is scattered over
+//   velocity  [right, up, forward] launch velocity
+//   jitter    [right, up, forward] random range added to the velocity
+//   stream    [min, max] backward launch speed at `referenceSpeed`, scaled
+//             with the deer's speed so particles keep pace with the meadow
+//   sway      bursts lean up to this far to one side, flipping over time
+//   lifetime  [min, max] seconds
+//   size      [min, max] sprite size
+export const DEFAULT_TRAIL_EMITTERS = [
+  {
+    offset: [0, 1.5, -0.29],
+    rate: 50,
+    count: 20,
+    spread: 1,
+    jitter: [0, 5, 0],
+    stream: [9, 11],
+    sway: 0.9,
+    lifetime: [4, 4],
+    size: [0.8, 2.2],
+  },
+];
+
+const EMITTER_DEFAULTS = {
+  bone: null,
+  offset: [0, 0, 0],
+  rate: 20,
+  count: 4,
+  spread: 0.2,
+  velocity: [0, 0, 0],
+  jitter: [0, 0, 0],
+  stream: [0, 0],
+  sway: 0,
+  lifetime: [2, 2],
+  size: [0.5, 1],
+};
+
+// White-hot at birth, settling into the accent colour and fading out.
+// Colour stops are [t, colour, intensity], where colour may be "accent" for
+// the live theme accent; alpha and size stops are [t, value].
+export const DEFAULT_TRAIL_CURVES = {
+  color: [
+    [0, "#ffffff", 1.6],
+    [0.25, "accent", 1],
+    [1, "accent", 0.8],
+  ],
+  alpha: [
+    [0, 1],
+    [0.6, 0.6],
+    [1, 0],
+  ],
+  size: [
+    [0, 1.2],
+    [0.2, 1],
+    [1, 0.6],
+  ],
+};
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _position = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _spawn = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _color = new THREE.Color();
+
+// [r, g, b, accent weight] of a colour stop
+function readColorStop([, color, intensity = 1]) {
+  if (color === "accent") return [0, 0, 0, intensity];
+  _color.set(color);
+  return [_color.r * intensity, _color.g * intensity, _color.b * intensity, 0];
+}
+
+function randomIn([min, max], random) {
+  return min + random() * (max - min);
+}
+
+// === PARTICLE TRAIL SYSTEM (GPU-simulated, drift+wiggle) ===
+// Particles are stateless on the CPU: each slot stores where, when and how fast
+// it was emitted and how long it lives, and the vertex shader integrates
+// damping and the colour, size and alpha curves from its age. Only freshly
+// emitted slots are uploaded each frame. `wind` is a shared uniform holding
+// the wind velocity on the XZ plane; `random` can be a seeded generator.
+export function createTrail({
+  colorUniforms,
+  maxParticles,
+  capacity = maxParticles,
+  emissionRate = REFERENCE_INTERVAL,
+  maxLife = 4,
+  referenceSpeed = 8,
+  curves = DEFAULT_TRAIL_CURVES,
+  wind = { value: new THREE.Vector2() },
+  random = Math.random,
+}) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = new Float32Array(maxParticles * 3);
+  const velocities = new Float32Array(maxParticles * 3);
+  const births = new Float32Array(maxParticles).fill(-1e6);
+  const lives = new Float32Array(maxParticles).fill(1);
+  const sizes = new Float32Array(maxParticles);
+  const ids = new Float32Array(maxParticles);
+  const anchorSlots = new Float32Array(maxParticles);
+
+  for (let i = 0; i < maxParticles; i++) {
+    sizes[i] = 0.3;
+    ids[i] = random() * 10.0;
+  }
+
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("aVelocity", new THREE.BufferAttribute(velocities, 3));
+  geometry.setAttribute("aBirth", new THREE.BufferAttribute(births, 1));
+  geometry.setAttribute("aLife", new THREE.BufferAttribute(lives, 1));
+  geometry.setAttribute("aSize", new THREE.BufferAttribute(sizes, 1));
+  geometry.setAttribute("aId", new THREE.BufferAttribute(ids, 1));
+  geometry.setAttribute("aAnchor", new THREE.BufferAttribute(anchorSlots, 1));
+  const dynamicAttributes = [
+    geometry.attributes.position,
+    geometry.attributes.aVelocity,
+    geometry.attributes.aBirth,
+    geometry.attributes.aLife,
+    geometry.attributes.aSize,
+    geometry.attributes.aAnchor,
+  ];
+  dynamicAttributes.forEach((attribute) =>
+    attribute.setUsage(THREE.DynamicDrawUsage)
+  );
+
+  const anchors = [];
+  for (let i = 0; i < MAX_TRAIL_EMITTERS; i++) {
+    anchors.push(new THREE.Vector3());
+  }
+  const freeSlots = anchors.map((_, index) => index);
+
+  const slots = createSlotRing(capacity);
+  let simTime = 0;
+  let currentCurves = curves;
+
+  const material = new THREE.ShaderMaterial({
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    uniforms: {
+      u_time: { value: 0.0 },
+      uSimTime: { value: 0.0 },
+      // Continuous-time rate of the old per-frame factor (0.995 at 60 fps)
+      uDamping: { value: -Math.log(0.995) * 60 },
+      uColorCurve: {
+        value: Array.from({ length: CURVE_SAMPLES }, () => new THREE.Vector4()),
+      },
+      uFadeCurve: {
+        value: Array.from({ length: CURVE_SAMPLES }, () => new THREE.Vector2()),
+      },
+      uAnchors: { value: anchors },
+      uAccentColor: colorUniforms.uAccentColor,
+      uWind: wind,
+      uPointScale: colorUniforms.uPointScale,
+    },
+    vertexShader: `
+      attribute vec3 aVelocity;
+      attribute float aBirth;
+      attribute float aLife;
+      attribute float aSize;
+      attribute float aId;
+      attribute float aAnchor;
+
+      uniform float u_time;
+      uniform float uSimTime;
+      uniform float uDamping;
+      uniform vec4 uColorCurve[${CURVE_SAMPLES}];
+      uniform vec2 uFadeCurve[${CURVE_SAMPLES}];
+      uniform vec3 uAnchors[${MAX_TRAIL_EMITTERS}];
+      uniform vec3 uAccentColor;
+      uniform vec2 uWind;
+      uniform float uPointScale;
+
+      varying vec3 vColor;
+      varying float vAlpha;
+      void main()
+      {
+        float age = uSimTime - aBirth;
+        if (age < 0.0 || age >= aLife) {
+          vAlpha = 0.0;
+          gl_PointSize = 0.0;
+          gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+          return;
+        }
+
+        // Lifetime curves, linearly interpolated between samples
+        float x = age / aLife * ${(CURVE_SAMPLES - 1).toFixed(1)};
+        float index = floor(min(x, ${(CURVE_SAMPLES - 2).toFixed(1)}));
+        int i = int(index);
+        vec4 color = mix(uColorCurve[i], uColorCurve[i + 1], x - index);
+        vec2 fade = mix(uFadeCurve[i], uFadeCurve[i + 1], x - index);
+        vColor = color.rgb + uAccentColor * color.a;
+        vAlpha = fade.y;
+
+        // Closed form of v *= damping, p += v * dt
+        vec3 pos = uAnchors[int(aAnchor)] + position +
+          aVelocity * (1.0 - exp(-uDamping * age)) / uDamping;
+        // Particles pick up the wind as fast as they lose their launch speed
+        pos.xz += uWind * (age - (1.0 - exp(-uDamping * age)) / uDamping);
+        float t = u_time;
+
+        // Drift (subtle world-space wiggle inspired by particleThreeJs)
+        pos.x += sin(t * 0.5 + aId) * 0.08;
+        pos.y += cos(t * 0.2 + aId * 1.3) * 0.04;
+        pos.z += sin(t * 0.4 + aId * 2.0) * 0.06;
+
+        // Faster small wiggle
+        pos.x += sin(t * 2.0 + aId * 8.0) * 0.01;
+        pos.y += cos(t * 3.0 + aId * 6.7) * 0.01;
+
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+
+        // Use a smaller multiplier so point sprites stay reasonable in size
+        float size = aSize * fade.x;
+        gl_PointSize = size * (19.0 / -mvPosition.z) * uPointScale;
+        gl_Position = projectionMatrix * mvPosition;
+      }
+    `,
+    fragmentShader: `
+      varying vec3 vColor;
+      varying float vAlpha;
+      void main() {
+        float d = length(gl_PointCoord - vec2(0.5));
+        float mask = smoothstep(0.9, 0.0, d);
+
+        gl_FragColor = vec4(vColor * mask, mask * vAlpha);
+      }
+    `,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+
+  // Queue a partial upload of `count` ring-buffer slots starting at `start`
+  function markRange(start, count) {
+    dynamicAttributes.forEach((attribute) => {
+      attribute.addUpdateRange(
+        start * attribute.itemSize,
+        count * attribute.itemSize
+      );
+      attribute.needsUpdate = true;
+    });
+  }
+
+  // Replaces the colour, size and alpha curves over a particle's life; see
+  // DEFAULT_TRAIL_CURVES for the format. Left-out curves are kept.
+  function setCurves(changes) {
+    currentCurves = { ...currentCurves, ...changes };
+    const { color, alpha, size } = currentCurves;
+    const readValue = (stop) => [stop[1]];
+    const sizes = bakeStops(size, CURVE_SAMPLES, readValue);
+    const alphas = bakeStops(alpha, CURVE_SAMPLES, readValue);
+    bakeStops(color, CURVE_SAMPLES, readColorStop).forEach((sample, i) => {
+      material.uniforms.uColorCurve.value[i].fromArray(sample);
+      material.uniforms.uFadeCurve.value[i].set(sizes[i][0], alphas[i][0]);
+    });
+  }
+
+  // One emitter per deer. `share` scales the particles per burst, e.g. for
+  // secondary emitters.
+  function createEmitter({ share = 1, phase = 0 } = {}) {
+    if (freeSlots.length === 0) {
+      throw new Error(`Trail supports at most ${MAX_TRAIL_EMITTERS} emitters`);
+    }
+    return {
+      slot: freeSlots.shift(),
+      share,
+      phase,
+      source: null,
+      points: [],
+      prevPosition: new THREE.Vector3(),
+      initialized: false,
+    };
+  }
+
+  // Frees the emitter's slot; the next emitter to take it starts from the
+  // origin rather than this one's anchor
+  function releaseEmitter(emitter) {
+    anchors[emitter.slot].set(0, 0, 0);
+    if (!freeSlots.includes(emitter.slot)) freeSlots.push(emitter.slot);
+    emitter.source = null;
+    emitter.points = [];
+  }
+
+  // Hooks the emitter up to `source` (a deer), emitting per `definitions`.
+  // Definitions whose bones the model lacks are skipped.
+  function attach(emitter, source, definitions = DEFAULT_TRAIL_EMITTERS) {
+    emitter.source = source;
+    emitter.initialized = false;
+    emitter.points = [];
+    definitions.forEach((entry) => {
+      const definition = { ...EMITTER_DEFAULTS, ...entry };
+      const count = Math.max(1, Math.round(definition.count * emitter.share));
+      const bones = [];
+      if (definition.bone) {
+        const pattern = definition.bone;
+        source.traverse((child) => {
+          if (!child.isBone) return;
+          const matches =
+            pattern instanceof RegExp
+              ? pattern.test(child.name)
+              : child.name.includes(pattern);
+          if (matches) bones.push(child);
+        });
+      } else {
+        bones.push(null);
+      }
+      bones.forEach((bone) =>
+        emitter.points.push({ definition, bone, count, timer: 0 })
+      );
+    });
+  }
+
+  // Advances the simulation clock; call once per frame before emitting
+  function update(delta, time) {
+    simTime += delta;
+    material.uniforms.u_time.value = time;
+    material.uniforms.uSimTime.value = simTime;
+  }
+
+  // Emits from every point of an attached emitter at `speed`, the world
+  // scroll speed. The source's matrices must be up to date.
+  function emit(emitter, delta, time, speed) {
+    const source = emitter.source;
+    if (!source) return;
+    const anchor = anchors[emitter.slot];
+    source.getWorldPosition(_origin);
+    source.getWorldDirection(_forward);
+    _forward.y = 0;
+    _forward.normalize();
+    _right.crossVectors(_forward, _up).normalize();
+
+    if (emitter.initialized) {
+      anchor.add(_origin).sub(emitter.prevPosition);
+    }
+    emitter.prevPosition.copy(_origin);
+    emitter.initialized = true;
+
+    const sideSign = Math.sign(Math.sin(time * 0.8 + emitter.phase)) || 1;
+    const intervalScale = emissionRate / REFERENCE_INTERVAL;
+
+    emitter.points.forEach((point) => {
+      const { definition, bone } = point;
+      const interval = intervalScale / definition.rate;
+      if (bone) bone.getWorldPosition(_position);
+      else _position.copy(_origin);
+      _position
+        .addScaledVector(_right, definition.offset[0])
+        .addScaledVector(_up, definition.offset[1])
+        .addScaledVector(_forward, definition.offset[2]);
+
+      tickEmission(point, delta, interval, (lag) => {
+        const lateral = definition.sway
+          ? (0.1 + random() * (definition.sway - 0.1)) * sideSign
+          : 0;
+        _spawn.copy(_position).addScaledVector(_right, lateral).sub(anchor);
+
+        // Streams back at a rate matched to the world scroll
+        const backSpeed =
+          randomIn(definition.stream, random) * (speed / referenceSpeed);
+        const [jitterX, jitterY, jitterZ] = definition.jitter;
+        const [velocityX, velocityY, velocityZ] = definition.velocity;
+        _velocity
+          .copy(_right)
+          .multiplyScalar(velocityX + (random() - 0.5) * jitterX + lateral)
+          .addScaledVector(_up, velocityY + (random() - 0.5) * jitterY)
+          .addScaledVector(
+            _forward,
+            velocityZ + (random() - 0.5) * jitterZ - backSpeed
+          );
+        const birth = simTime - lag;
+        const life = randomIn(definition.lifetime, random);
+
+        const spread = definition.spread;
+        for (let b = 0; b < point.count; b++) {
+          const slot = slots.claim();
+          positions[slot * 3] = _spawn.x + (random() - 0.5) * spread;
+          positions[slot * 3 + 1] =
+            _spawn.y + (random() - 0.5) * (spread * 0.5);
+          positions[slot * 3 + 2] = _spawn.z + (random() - 0.5) * spread;
+
+          velocities[slot * 3] = _velocity.x;
+          velocities[slot * 3 + 1] = _velocity.y;
+          velocities[slot * 3 + 2] = _velocity.z;
+
+          births[slot] = birth;
+          lives[slot] = life;
+          sizes[slot] = randomIn(definition.size, random);
+          anchorSlots[slot] = emitter.slot;
+        }
+      });
+    });
+  }
+
+  // Uploads everything emitted since the last flush; call once after emitting
+  function flush() {
+    slots.takePending().forEach(([start, count]) => markRange(start, count));
+  }
+
+  // Throws `count` particles out in all directions from `position`, e.g. for
+  // a spell being cast. The particles live `maxLife` seconds. Uploads
+  // immediately, so it can be called at any time.
+  function burst(emitter, position, count, { speed = 6 } = {}) {
+    flush();
+    const anchor = anchors[emitter.slot];
+    const total = Math.min(count, slots.capacity);
+
+    for (let i = 0; i < total; i++) {
+      // Uniform direction on the sphere
+      const y = random() * 2 - 1;
+      const angle = random() * Math.PI * 2;
+      const ring = Math.sqrt(1 - y * y);
+      _forward.set(Math.cos(angle) * ring, y, Math.sin(angle) * ring);
+      _spawn.copy(position).sub(anchor).addScaledVector(_forward, 0.15);
+      const launch = speed * (0.3 + random() * 0.7);
+
+      const slot = slots.claim();
+      positions[slot * 3] = _spawn.x;
+      positions[slot * 3 + 1] = _spawn.y;
+      positions[slot * 3 + 2] = _spawn.z;
+
+      velocities[slot * 3] = _forward.x * launch;
+      velocities[slot * 3 + 1] = _forward.y * launch;
+      velocities[slot * 3 + 2] = _forward.z * launch;
+
+      births[slot] = simTime;
+      lives[slot] = maxLife;
+      sizes[slot] = 0.8 + random() * 1.8;
+      anchorSlots[slot] = emitter.slot;
+    }
+
+    flush();
+  }
+
+  function setCapacity(value) {
+    slots.capacity = Math.min(value, maxParticles);
+    geometry.setDrawRange(0, slots.capacity);
+  }
+
+  function dispose() {
+    geometry.dispose();
+    material.dispose();
+  }
+
+  setCapacity(slots.capacity);
+  setCurves(curves);
+
+  return {
+    points,
+    material,
+    createEmitter,
+    releaseEmitter,
+    attach,
+    update,
+    emit,
+    flush,
+    burst,
+    setCapacity,
+    setCurves,
+    dispose,
+    get curves() {
+      return currentCurves;
+    },
+    get emissionRate() {
+      return emissionRate;
+    },
+    set emissionRate(value) {
+      emissionRate = value;
+    },
+  };
+}
@@ -0,0 +1,221 @@
+import * as THREE from "three";
+
+// Stamps uploaded per step, four hooves and the body per deer. Kept well
+// inside the fragment uniform budget, so only the first dozen deer of a
+// large herd trample the grass.
+const MAX_STAMPS = 64;
+
+// Channels of the field: RG push direction scaled by strength, B how far
+// blades are pressed down, A hoofprint glow
+const fieldVertexShader = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const fieldFragmentShader = `
+  uniform sampler2D uPrevious;
+  uniform vec4 uStamps[${MAX_STAMPS}];
+  uniform float uStampPrints[${MAX_STAMPS}];
+  uniform int uStampCount;
+  uniform float uPeriod;
+  uniform float uRecover;
+  uniform float uPrintFade;
+  varying vec2 vUv;
+
+  void main() {
+    vec4 field = texture2D(uPrevious, vUv);
+    field.rgb *= uRecover;
+    field.a *= uPrintFade;
+
+    vec2 p = vUv * uPeriod;
+    for (int i = 0; i < ${MAX_STAMPS}; i++) {
+      if (i >= uStampCount) break;
+      vec4 stamp = uStamps[i];
+      vec2 offset = mod(p - stamp.xy + uPeriod * 0.5, uPeriod) - uPeriod * 0.5;
+      float d = length(offset);
+      float weight = (1.0 - smoothstep(stamp.z * 0.5, stamp.z, d)) * stamp.w;
+      vec2 push = d > 1e-4 ? offset / d * weight : vec2(0.0);
+      if (dot(push, push) > dot(field.rg, field.rg)) field.rg = push;
+      field.b = max(field.b, weight);
+      float print = 1.0 - smoothstep(stamp.z * 0.3, stamp.z * 0.6, d);
+      field.a = max(field.a, print * uStampPrints[i]);
+    }
+
+    gl_FragColor = field;
+  }
+`;
+
+// Grass lookup of the field at meadow position `p`
+export const TRAMPLE_GLSL = `
+  uniform sampler2D uTrample;
+  uniform float uTramplePeriod;
+
+  vec4 trampleAt(vec2 p) {
+    return texture2D(uTrample, p / uTramplePeriod);
+  }
+`;
+
+const _position = new THREE.Vector3();
+
+// Where the deer have pressed into the grass, as a texture tiling every
+// `period` units of meadow. Each simulation step the hoof bones (matched by
+// `footPattern`, as for the hoof-fall sounds) and optionally the body stamp
+// into it, then everything eases back at `recoverRate` per second. Hooves
+// on the ground also leave prints fading at `printFadeRate`.
+export function createTrampleField({
+  renderer,
+  period = 24,
+  resolution = 256,
+  footPattern = /toeTip|hoof/i,
+  footRadius = 0.35,
+  body = true,
+  bodyRadius = 0.9,
+  recoverRate = 1.5,
+  printFadeRate = 0.5,
+  hoofprints = true,
+}) {
+  const targetOptions = {
+    type: THREE.HalfFloatType,
+    wrapS: THREE.RepeatWrapping,
+    wrapT: THREE.RepeatWrapping,
+    depthBuffer: false,
+  };
+  let read = new THREE.WebGLRenderTarget(resolution, resolution, targetOptions);
+  let write = new THREE.WebGLRenderTarget(
+    resolution,
+    resolution,
+    targetOptions
+  );
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: fieldVertexShader,
+    fragmentShader: fieldFragmentShader,
+    uniforms: {
+      uPrevious: { value: read.texture },
+      uStamps: {
+        value: Array.from({ length: MAX_STAMPS }, () => new THREE.Vector4()),
+      },
+      uStampPrints: { value: new Float32Array(MAX_STAMPS) },
+      uStampCount: { value: 0 },
+      uPeriod: { value: period },
+      uRecover: { value: 1 },
+      uPrintFade: { value: 1 },
+    },
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  const fieldScene = new THREE.Scene();
+  fieldScene.add(quad);
+  const fieldCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  const uniforms = {
+    uTrample: { value: read.texture },
+    uTramplePeriod: { value: period },
+  };
+
+  const tracked = new Map();
+
+  function track(model) {
+    const feet = [];
+    model.traverse((child) => {
+      if (child.isBone && footPattern.test(child.name)) {
+        feet.push({ bone: child, lowest: null });
+      }
+    });
+    tracked.set(model, { feet });
+  }
+
+  function untrack(model) {
+    tracked.delete(model);
+  }
+
+  function addStamp(index, x, z, radius, strength, print) {
+    material.uniforms.uStamps.value[index].set(
+      THREE.MathUtils.euclideanModulo(x, period),
+      THREE.MathUtils.euclideanModulo(z, period),
+      radius,
+      strength
+    );
+    material.uniforms.uStampPrints.value[index] = print;
+  }
+
+  // Stamps the tracked deer at their current pose. `scroll` is the meadow
+  // offset under the scene origin; matrices must be up to date.
+  function update(delta, scroll) {
+    let count = 0;
+    tracked.forEach(({ feet }, model) => {
+      feet.forEach((foot) => {
+        if (count >= MAX_STAMPS) return;
+        foot.bone.getWorldPosition(_position);
+        // Height over the deer's own origin, against the lowest it has
+        // been lately: near zero means the hoof is planted
+        const lift = _position.y - model.position.y;
+        foot.lowest =
+          foot.lowest === null
+            ? lift
+            : Math.min(lift, foot.lowest + delta * 0.2);
+        const contact =
+          1 - THREE.MathUtils.smoothstep(lift - foot.lowest, 0.03, 0.12);
+        addStamp(
+          count++,
+          _position.x + scroll.x,
+          _position.z + scroll.y,
+          footRadius,
+          0.5 + contact * 0.5,
+          hoofprints ? contact : 0
+        );
+      });
+      if (body && count < MAX_STAMPS) {
+        addStamp(
+          count++,
+          model.position.x + scroll.x,
+          model.position.z + scroll.y,
+          bodyRadius,
+          0.45,
+          0
+        );
+      }
+    });
+
+    material.uniforms.uStampCount.value = count;
+    material.uniforms.uRecover.value = Math.exp(-recoverRate * delta);
+    material.uniforms.uPrintFade.value = Math.exp(-printFadeRate * delta);
+    material.uniforms.uPrevious.value = read.texture;
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(write);
+    renderer.render(fieldScene, fieldCamera);
+    renderer.setRenderTarget(previousTarget);
+
+    [read, write] = [write, read];
+    uniforms.uTrample.value = read.texture;
+  }
+
+  function dispose() {
+    read.dispose();
+    write.dispose();
+    material.dispose();
+    quad.geometry.dispose();
+    tracked.clear();
+  }
+
+  return {
+    uniforms,
+    track,
+    untrack,
+    update,
+    dispose,
+    get hoofprints() {
+      return hoofprints;
+    },
+    set hoofprints(value) {
+      hoofprints = value;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+import * as THREE from "three";
+import { Reflector } from "jsm/objects/Reflector.js";
+import { RIPPLE_GLSL } from "./ripples.js";
+
+// What lies beneath the deer: the grass alone, a mirror of water alone, or
+// the grass standing in the water
+export const GROUND_MODES = ["meadow", "water", "both"];
+
+// Small waves ruffling the surface: whole wave counts across the meadow
+// period on x and z, so they tile with the scroll like everything else, a
+// phase speed in rad/s and the slope they add
+const WAVES = [
+  [9, 4, 1.1, 0.035],
+  [-7, 11, 1.6, 0.025],
+  [15, -6, 2.1, 0.018],
+  [-20, -13, 2.7, 0.012],
+];
+
+const waterVertexShader = `
+  uniform mat4 textureMatrix;
+  varying vec4 vReflectUv;
+  varying vec3 vWorldPosition;
+
+  #include <fog_pars_vertex>
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vReflectUv = textureMatrix * vec4(position, 1.0);
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+  }
+`;
+
+const waterFragmentShader = `
+  uniform vec3 color;
+  uniform sampler2D tDiffuse;
+  uniform vec3 uAccentColor;
+  uniform float uTime;
+  uniform vec2 uScroll;
+  uniform float uPeriod;
+  uniform float uDistortion;
+  uniform float uRippleDepth;
+  uniform float uReflectivity;
+  uniform vec4 uWaves[${WAVES.length}];
+  varying vec4 vReflectUv;
+  varying vec3 vWorldPosition;
+
+  ${RIPPLE_GLSL}
+
+  #include <fog_pars_fragment>
+
+  // Slope of the small waves at meadow point p
+  vec2 waveSlope(vec2 p) {
+    vec2 slope = vec2(0.0);
+    for (int i = 0; i < ${WAVES.length}; i++) {
+      vec2 direction = uWaves[i].xy * 6.2831853 / uPeriod;
+      float phase = dot(direction, p) + uTime * uWaves[i].z;
+      slope += normalize(direction) * cos(phase) * uWaves[i].w;
+    }
+    return slope;
+  }
+
+  void main() {
+    vec2 p = vWorldPosition.xz;
+    vec2 slope = waveSlope(p + uScroll);
+
+    // The grass ripples disturb the surface too; the ripple uniforms are
+    // already in scene coordinates
+    float e = 0.1;
+    float ripple = rippleField(p, uTime, uPeriod);
+    slope += vec2(
+      rippleField(p + vec2(e, 0.0), uTime, uPeriod) - ripple,
+      rippleField(p + vec2(0.0, e), uTime, uPeriod) - ripple
+    ) / e * uRippleDepth;
+
+    vec4 uv = vReflectUv;
+    uv.xy += slope * uDistortion * uv.w;
+    vec3 reflected = texture2DProj(tDiffuse, uv).rgb;
+
+    // Mostly dark water looking down, mostly mirror at grazing angles
+    vec3 view = normalize(cameraPosition - vWorldPosition);
+    float fresnel = 0.25 + 0.75 * pow(1.0 - clamp(view.y, 0.0, 1.0), 3.0);
+    vec3 surface = color + uAccentColor * abs(ripple) * uRippleDepth * 0.5;
+
+    gl_FragColor = vec4(
+      mix(surface, reflected * uReflectivity, fresnel),
+      1.0
+    );
+
+    #include <fog_fragment>
+  }
+`;
+
+// Dark reflective plane at `level`, mirroring the deer, trail and grass
+// through a three.js Reflector. Its waves scroll with `scroll` (the grass's
+// wrapped uScroll uniform) and the meadow ripples in `ripples` disturb it.
+// The reflection is rendered at `resolution` times the canvas size and only
+// while the plane is visible.
+export function createWater({
+  renderer,
+  colorUniforms,
+  ripples,
+  scroll,
+  period = 24,
+  level = -0.2,
+  size = 200,
+  color = 0x02070b,
+  resolution = 0.5,
+  distortion = 0.15,
+  rippleDepth = 0.1,
+  reflectivity = 0.7,
+}) {
+  const drawingSize = new THREE.Vector2();
+
+  function textureSize() {
+    renderer.getDrawingBufferSize(drawingSize);
+    return {
+      width: Math.max(1, Math.round(drawingSize.x * resolution)),
+      height: Math.max(1, Math.round(drawingSize.y * resolution)),
+    };
+  }
+
+  const initialSize = textureSize();
+  const geometry = new THREE.PlaneGeometry(size, size);
+  const mirror = new Reflector(geometry, {
+    color,
+    textureWidth: initialSize.width,
+    textureHeight: initialSize.height,
+    multisample: 0,
+    shader: {
+      name: "WaterShader",
+      uniforms: {
+        color: { value: null },
+        tDiffuse: { value: null },
+        textureMatrix: { value: null },
+        uPeriod: { value: period },
+        uDistortion: { value: distortion },
+        uRippleDepth: { value: rippleDepth },
+        uReflectivity: { value: reflectivity },
+        uWaves: { value: WAVES.map((wave) => new THREE.Vector4(...wave)) },
+        ...THREE.UniformsLib.fog,
+      },
+      vertexShader: waterVertexShader,
+      fragmentShader: waterFragmentShader,
+    },
+  });
+  // The Reflector clones its uniforms; the shared ones are put back so the
+  // clock, accent colour, scroll and ripples stay live
+  Object.assign(mirror.material.uniforms, {
+    uTime: colorUniforms.uTime,
+    uAccentColor: colorUniforms.uAccentColor,
+    uScroll: scroll,
+    ...ripples.uniforms,
+  });
+  mirror.material.fog = true;
+  mirror.rotation.x = -Math.PI / 2;
+  mirror.position.y = level;
+
+  // Follows the canvas; call after it is resized or its pixel ratio changes
+  function resize() {
+    const { width, height } = textureSize();
+    mirror.getRenderTarget().setSize(width, height);
+  }
+
+  function dispose() {
+    geometry.dispose();
+    mirror.dispose();
+  }
+
+  return {
+    object: mirror,
+    resize,
+    dispose,
+    get level() {
+      return level;
+    },
+    get resolution() {
+      return resolution;
+    },
+    set resolution(value) {
+      resolution = value;
+      resize();
+    },
+    get visible() {
+      return mirror.visible;
+    },
+    set visible(value) {
+      mirror.visible = Boolean(value);
+    },
+  };
+}
@@ -0,0 +1,424 @@
+import * as THREE from "three";
+
+// Named weather states. `rain` and `mist` are intensities in [0, 1], fog
+// distances replace the scene fog's near/far, `wind` is the mean wind speed,
+// `windDirection` the angle it blows towards (0 = +Z) and `gust` how strongly
+// it gusts on top of that.
+export const WEATHER_PRESETS = {
+  clear: {
+    rain: 0,
+    mist: 0,
+    fogNear: 10,
+    fogFar: 50,
+    wind: 0,
+    windDirection: 0,
+    gust: 0,
+  },
+  breezy: {
+    rain: 0,
+    mist: 0.15,
+    fogNear: 10,
+    fogFar: 50,
+    wind: 2.5,
+    windDirection: 0.6,
+    gust: 0.5,
+  },
+  misty: {
+    rain: 0,
+    mist: 0.8,
+    fogNear: 3,
+    fogFar: 28,
+    wind: 0.6,
+    windDirection: 0.6,
+    gust: 0.1,
+  },
+  rain: {
+    rain: 0.6,
+    mist: 0.35,
+    fogNear: 6,
+    fogFar: 35,
+    wind: 2,
+    windDirection: 0.8,
+    gust: 0.4,
+  },
+  storm: {
+    rain: 1,
+    mist: 0.5,
+    fogNear: 4,
+    fogFar: 24,
+    wind: 5,
+    windDirection: 1.1,
+    gust: 1,
+  },
+};
+
+const WEATHER_KEYS = Object.keys(WEATHER_PRESETS.clear);
+
+const RAIN_HEIGHT = 9;
+const RAIN_FALL_SPEED = 14;
+const RAIN_STREAK = 0.035;
+const MIST_LAYERS = [0.12, 0.35, 0.65];
+// Mist noise repeats every MIST_PERIOD lattice cells, so its scroll offset
+// can be wrapped without a visible jump
+const MIST_SCALE = 0.18;
+const MIST_PERIOD = 32;
+// Spatial frequency of the gust fronts rolling over the grass
+const GUST_WAVENUMBER = 0.35;
+
+const _windDirection = new THREE.Vector2();
+
+const rainVertexShader = `
+  uniform float uTime;
+  uniform float uRain;
+  uniform float uRadius;
+  uniform vec2 uScroll;
+  uniform vec2 uWind;
+  attribute vec2 aDrop;
+  attribute float aTail;
+  varying float vAlpha;
+
+  void main() {
+    // aDrop.y is the intensity a drop starts to fall at
+    if (aDrop.y >= uRain) {
+      vAlpha = 0.0;
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      return;
+    }
+
+    float fallen = mod(uTime * ${RAIN_FALL_SPEED.toFixed(1)} + aDrop.x * ${RAIN_HEIGHT.toFixed(1)}, ${RAIN_HEIGHT.toFixed(1)});
+    float y = ${RAIN_HEIGHT.toFixed(1)} - fallen;
+    // Drops drift downwind as they fall and wrap around the deer like the grass
+    vec2 xz = position.xz - uScroll + uWind * (fallen / ${RAIN_FALL_SPEED.toFixed(1)});
+    xz = mod(xz + uRadius, uRadius * 2.0) - uRadius;
+
+    vec3 velocity = vec3(uWind.x, -${RAIN_FALL_SPEED.toFixed(1)}, uWind.y);
+    vec3 pos = vec3(xz.x, y, xz.y) - velocity * aTail * ${RAIN_STREAK};
+
+    vAlpha = (1.0 - aTail * 0.8) *
+      smoothstep(0.0, 0.5, y) *
+      (1.0 - smoothstep(uRadius * 0.7, uRadius, length(xz)));
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+const rainFragmentShader = `
+  uniform vec3 uAccentColor;
+  varying float vAlpha;
+
+  void main() {
+    vec3 color = mix(uAccentColor, vec3(0.85, 0.92, 1.0), 0.5);
+    gl_FragColor = vec4(color, vAlpha * 0.35);
+  }
+`;
+
+const mistVertexShader = `
+  varying vec2 vXZ;
+  varying vec3 vViewDirection;
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vXZ = worldPosition.xz;
+    vViewDirection = cameraPosition - worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+const mistFragmentShader = `
+  uniform vec3 uAccentColor;
+  uniform vec3 uFogColor;
+  uniform float uDensity;
+  uniform float uRadius;
+  uniform float uLayer;
+  uniform vec2 uOffset;
+  varying vec2 vXZ;
+  varying vec3 vViewDirection;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  // Value noise that tiles every 'period' cells
+  float noise(vec2 p, float period) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    float a = hash(mod(i, period));
+    float b = hash(mod(i + vec2(1.0, 0.0), period));
+    float c = hash(mod(i + vec2(0.0, 1.0), period));
+    float d = hash(mod(i + vec2(1.0, 1.0), period));
+    return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+  }
+
+  float fbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    float period = ${MIST_PERIOD.toFixed(1)};
+    for (int i = 0; i < 4; i++) {
+      value += noise(p, period) * amplitude;
+      p *= 2.0;
+      period *= 2.0;
+      amplitude *= 0.5;
+    }
+    return value;
+  }
+
+  void main() {
+    vec2 p = (vXZ + uOffset) * ${MIST_SCALE} + uLayer * 7.31;
+    float cloud = smoothstep(0.35, 0.85, fbm(p));
+    float edge = 1.0 - smoothstep(uRadius * 0.45, uRadius, length(vXZ));
+    // Thin slabs seen edge-on would show as hard lines
+    float facing = smoothstep(0.05, 0.4, abs(normalize(vViewDirection).y));
+
+    vec3 color = mix(uFogColor, uAccentColor, 0.3) + 0.04;
+    float alpha = cloud * edge * facing * uDensity * 0.35;
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+// Rain streaks, layered ground mist and a wind field, blended between
+// presets. The wind is published through `uniforms` so the grass and the
+// trail can share it: `uWind` is the current wind velocity on the XZ plane
+// (gusts included), `uGust` the gust strength and `uWindPhase` the phase of
+// the gust fronts travelling downwind over the ground.
+export function createWeather({
+  scene,
+  colorUniforms,
+  radius = 14,
+  maxDrops = 9000,
+  capacity = maxDrops,
+  random = Math.random,
+}) {
+  const current = { ...WEATHER_PRESETS.clear };
+  let currentName = "clear";
+  let fade = null;
+  let rainTime = 0;
+  let gustTime = 0;
+  let windPhase = 0;
+
+  const uniforms = {
+    uWind: { value: new THREE.Vector2() },
+    uGust: { value: 0 },
+    uWindPhase: { value: 0 },
+  };
+
+  const object = new THREE.Group();
+  object.name = "weather";
+
+  // === Rain ===
+  const rainGeometry = new THREE.BufferGeometry();
+  const rainPositions = new Float32Array(maxDrops * 2 * 3);
+  const rainDrops = new Float32Array(maxDrops * 2 * 2);
+  const rainTails = new Float32Array(maxDrops * 2);
+  for (let i = 0; i < maxDrops; i++) {
+    const x = (random() * 2 - 1) * radius;
+    const z = (random() * 2 - 1) * radius;
+    const phase = random();
+    const threshold = random();
+    for (let end = 0; end < 2; end++) {
+      const vertex = i * 2 + end;
+      rainPositions[vertex * 3] = x;
+      rainPositions[vertex * 3 + 2] = z;
+      rainDrops[vertex * 2] = phase;
+      rainDrops[vertex * 2 + 1] = threshold;
+      rainTails[vertex] = end;
+    }
+  }
+  rainGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(rainPositions, 3)
+  );
+  rainGeometry.setAttribute("aDrop", new THREE.BufferAttribute(rainDrops, 2));
+  rainGeometry.setAttribute("aTail", new THREE.BufferAttribute(rainTails, 1));
+
+  const rainMaterial = new THREE.ShaderMaterial({
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    uniforms: {
+      uTime: { value: 0 },
+      uRain: { value: 0 },
+      uRadius: { value: radius },
+      uScroll: { value: new THREE.Vector2() },
+      uWind: uniforms.uWind,
+      uAccentColor: colorUniforms.uAccentColor,
+    },
+    vertexShader: rainVertexShader,
+    fragmentShader: rainFragmentShader,
+  });
+
+  const rain = new THREE.LineSegments(rainGeometry, rainMaterial);
+  rain.frustumCulled = false;
+  object.add(rain);
+
+  // === Mist ===
+  const mistOffset = new THREE.Vector2();
+  const mistDrift = new THREE.Vector2();
+  const mistGeometry = new THREE.PlaneGeometry(radius * 2, radius * 2);
+  mistGeometry.rotateX(-Math.PI / 2);
+  const mistLayers = MIST_LAYERS.map((height, index) => {
+    const material = new THREE.ShaderMaterial({
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      uniforms: {
+        uAccentColor: colorUniforms.uAccentColor,
+        // The fog colour is owned by the theme; share the instance
+        uFogColor: { value: scene.fog.color },
+        uDensity: { value: 0 },
+        uRadius: { value: radius },
+        uLayer: { value: index },
+        uOffset: { value: mistOffset },
+      },
+      vertexShader: mistVertexShader,
+      fragmentShader: mistFragmentShader,
+    });
+    const layer = new THREE.Mesh(mistGeometry, material);
+    layer.position.y = height;
+    layer.frustumCulled = false;
+    object.add(layer);
+    return layer;
+  });
+
+  function resolve(weather) {
+    const preset =
+      typeof weather === "string"
+        ? WEATHER_PRESETS[weather]
+        : typeof weather === "object" && weather !== null
+          ? weather
+          : undefined;
+    if (!preset) {
+      throw new Error(
+        `Unknown weather "${weather}". Available: ${Object.keys(WEATHER_PRESETS).join(", ")}`
+      );
+    }
+    return preset;
+  }
+
+  function apply(state) {
+    scene.fog.near = state.fogNear;
+    scene.fog.far = state.fogFar;
+    rainMaterial.uniforms.uRain.value = state.rain;
+    rain.visible = state.rain > 0;
+    mistLayers.forEach((layer) => {
+      layer.material.uniforms.uDensity.value = state.mist;
+      layer.visible = state.mist > 0;
+    });
+  }
+
+  // Accepts a preset name or a partial object of preset keys; keys that are
+  // left out keep their current value
+  function setWeather(weather, { duration = 0 } = {}) {
+    const preset = resolve(weather);
+    const target = {};
+    WEATHER_KEYS.forEach((key) => {
+      target[key] =
+        preset[key] !== undefined
+          ? preset[key]
+          : fade
+            ? fade.to[key]
+            : current[key];
+    });
+    currentName = typeof weather === "string" ? weather : null;
+
+    if (duration > 0) {
+      fade = { from: { ...current }, to: target, elapsed: 0, duration };
+      return;
+    }
+
+    fade = null;
+    Object.assign(current, target);
+    apply(current);
+  }
+
+  function blend(t) {
+    WEATHER_KEYS.forEach((key) => {
+      const from = fade.from[key];
+      let to = fade.to[key];
+      if (key === "windDirection") {
+        // Turn the short way round
+        to = from + Math.atan2(Math.sin(to - from), Math.cos(to - from));
+      }
+      current[key] = THREE.MathUtils.lerp(from, to, t);
+    });
+  }
+
+  // `scroll` is how far the world has moved under the deer. Call once per
+  // frame before rendering.
+  function update(delta, scroll) {
+    // The rain pattern repeats once a drop has fallen the full height
+    rainTime = (rainTime + delta) % (RAIN_HEIGHT / RAIN_FALL_SPEED);
+
+    if (fade) {
+      fade.elapsed = Math.min(fade.elapsed + delta, fade.duration);
+      blend(THREE.MathUtils.smoothstep(fade.elapsed, 0, fade.duration));
+      if (fade.elapsed >= fade.duration) fade = null;
+      apply(current);
+    }
+
+    // Two slow, incommensurate swells make the gusts irregular
+    gustTime += delta;
+    const swell =
+      0.5 + 0.5 * Math.sin(gustTime * 0.9) * Math.sin(gustTime * 0.31 + 1.7);
+    const speed = current.wind * (1 + current.gust * swell * 0.8);
+    _windDirection.set(
+      Math.sin(current.windDirection),
+      Math.cos(current.windDirection)
+    );
+    uniforms.uWind.value.copy(_windDirection).multiplyScalar(speed);
+    uniforms.uGust.value = current.gust;
+
+    // Gust fronts are fixed to the ground and roll downwind
+    windPhase += current.wind * GUST_WAVENUMBER * delta;
+    windPhase %= Math.PI * 2;
+    uniforms.uWindPhase.value = THREE.MathUtils.euclideanModulo(
+      windPhase - scroll.dot(_windDirection) * GUST_WAVENUMBER,
+      Math.PI * 2
+    );
+
+    rainMaterial.uniforms.uTime.value = rainTime;
+    rainMaterial.uniforms.uScroll.value.set(
+      THREE.MathUtils.euclideanModulo(scroll.x, radius * 2),
+      THREE.MathUtils.euclideanModulo(scroll.y, radius * 2)
+    );
+
+    mistDrift.addScaledVector(uniforms.uWind.value, -0.3 * delta);
+    const mistPeriod = MIST_PERIOD / MIST_SCALE;
+    mistOffset.set(
+      THREE.MathUtils.euclideanModulo(scroll.x + mistDrift.x, mistPeriod),
+      THREE.MathUtils.euclideanModulo(scroll.y + mistDrift.y, mistPeriod)
+    );
+  }
+
+  function setCapacity(value) {
+    capacity = Math.min(value, maxDrops);
+    rainGeometry.setDrawRange(0, capacity * 2);
+  }
+
+  function dispose() {
+    rainGeometry.dispose();
+    rainMaterial.dispose();
+    mistGeometry.dispose();
+    mistLayers.forEach((layer) => layer.material.dispose());
+  }
+
+  setCapacity(capacity);
+  apply(current);
+
+  return {
+    object,
+    uniforms,
+    setWeather,
+    update,
+    setCapacity,
+    dispose,
+    get name() {
+      return currentName;
+    },
+    get state() {
+      return current;
+    },
+    get wind() {
+      return uniforms.uWind.value;
+    },
+  };
+}
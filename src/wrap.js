@@ -0,0 +1,15 @@
+// Wrapping for the tiling meadow, free of three.js so it can be tested in
+// Node. Grass, terrain, ripples and trampling all repeat every `period`
+// units of meadow.
+
+// `value` wrapped into [0, period)
+export function wrap(value, period) {
+  return ((value % period) + period) % period;
+}
+
+// `value` wrapped into [-period / 2, period / 2): where a grass blade at
+// `value` is drawn, and the shortest offset between two meadow positions.
+// Matches the shaders' mod(value + period * 0.5, period) - period * 0.5.
+export function wrapCentered(value, period) {
+  return wrap(value + period * 0.5, period) - period * 0.5;
+}
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clampOrbit } from "../src/cameraLimits.js";
+
+const limits = {
+  minDistance: 2,
+  maxDistance: 14,
+  minPolarAngle: 0.2,
+  maxPolarAngle: Math.PI / 2 - 0.08,
+};
+
+test("pulls the distance inside its limits", () => {
+  assert.equal(clampOrbit({ radius: 1, phi: 1, theta: 0 }, limits).radius, 2);
+  assert.equal(clampOrbit({ radius: 30, phi: 1, theta: 0 }, limits).radius, 14);
+  assert.equal(clampOrbit({ radius: 6, phi: 1, theta: 0 }, limits).radius, 6);
+});
+
+test("keeps the camera off the pole and above the ground", () => {
+  assert.equal(clampOrbit({ radius: 6, phi: 0, theta: 0 }, limits).phi, 0.2);
+  assert.equal(
+    clampOrbit({ radius: 6, phi: Math.PI, theta: 0 }, limits).phi,
+    Math.PI / 2 - 0.08
+  );
+});
+
+test("limits the azimuth only when both bounds are finite", () => {
+  const orbit = { radius: 6, phi: 1, theta: 3 };
+  assert.equal(clampOrbit(orbit, limits).theta, 3);
+  assert.equal(clampOrbit(orbit, { ...limits, minAzimuthAngle: -1 }).theta, 3);
+  assert.equal(
+    clampOrbit(orbit, { ...limits, minAzimuthAngle: -1, maxAzimuthAngle: 1 })
+      .theta,
+    1
+  );
+});
+
+test("leaves the orbit it was given untouched", () => {
+  const orbit = { radius: 1, phi: 0, theta: 0 };
+  clampOrbit(orbit, limits);
+  assert.deepEqual(orbit, { radius: 1, phi: 0, theta: 0 });
+});
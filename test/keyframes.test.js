@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectIdleStart, trimKeyframes } from "../src/keyframes.js";
+
+// Linear interpolation over a stride-1 track, standing in for a three.js
+// interpolant
+function sampler({ times, values }) {
+  return (time) => {
+    if (time <= times[0]) return [values[0]];
+    for (let i = 1; i < times.length; i++) {
+      if (time <= times[i]) {
+        const f = (time - times[i - 1]) / (times[i] - times[i - 1]);
+        return [values[i - 1] + (values[i] - values[i - 1]) * f];
+      }
+    }
+    return [values[values.length - 1]];
+  };
+}
+
+function trim(track, start, end) {
+  const keys = trimKeyframes(track, start, end, sampler(track));
+  return { times: Array.from(keys.times), values: Array.from(keys.values) };
+}
+
+test("keeps the keys inside the range, shifted to start at 0", () => {
+  const track = { times: [0, 1, 2, 3], values: [0, 10, 20, 30] };
+  assert.deepEqual(trim(track, 1, 2), { times: [0, 1], values: [10, 20] });
+});
+
+test("samples a key on each bound without one", () => {
+  const track = { times: [0, 1, 2, 3], values: [0, 10, 20, 30] };
+  assert.deepEqual(trim(track, 0.5, 2.5), {
+    times: [0, 0.5, 1.5, 2],
+    values: [5, 10, 20, 25],
+  });
+});
+
+test("does not duplicate a key sitting exactly on the start", () => {
+  const track = { times: [0, 1, 2], values: [0, 10, 20] };
+  assert.deepEqual(trim(track, 1, 2), { times: [0, 1], values: [10, 20] });
+});
+
+test("copies every value of a key for wider strides", () => {
+  const track = { times: [0, 1, 2], values: [0, 1, 2, 3, 4, 5, 6, 7, 8] };
+  const keys = trimKeyframes(track, 1, 2, () => assert.fail("no sampling"));
+  assert.deepEqual(Array.from(keys.values), [3, 4, 5, 6, 7, 8]);
+});
+
+test("holds the pose of a track with no keys after the trim point", () => {
+  const track = { times: [0, 0.5], values: [4, 6] };
+  assert.deepEqual(trim(track, 1, 3), { times: [0], values: [6] });
+});
+
+test("holds the pose of a track with no keys before the trim end", () => {
+  const track = { times: [4, 5], values: [7, 9] };
+  assert.deepEqual(trim(track, 1, 3), { times: [2], values: [7] });
+});
+
+test("bridges a range falling between two keys", () => {
+  const track = { times: [0, 4], values: [0, 40] };
+  assert.deepEqual(trim(track, 1, 3), { times: [0, 2], values: [10, 30] });
+});
+
+test("leaves an empty track empty", () => {
+  const keys = trimKeyframes({ times: [], values: [] }, 0, 1, () => [0]);
+  assert.equal(keys.times.length, 0);
+  assert.equal(keys.values.length, 0);
+});
+
+test("detects where the first track starts to move", () => {
+  const clip = {
+    tracks: [
+      { times: [0, 1, 2, 3], values: [5, 5, 5, 6] },
+      { times: [0, 1, 2], values: [1, 1, 2] },
+    ],
+  };
+  assert.equal(detectIdleStart(clip), 1);
+});
+
+test("treats a clip that moves from its first key as not idle", () => {
+  const clip = { tracks: [{ times: [0, 1], values: [0, 1] }] };
+  assert.equal(detectIdleStart(clip), 0);
+  assert.equal(detectIdleStart({ tracks: [] }), 0);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createLocomotion } from "../src/locomotion.js";
+
+function createClips() {
+  const clips = {};
+  ["idle", "walk", "run"].forEach((role) => {
+    const track = new THREE.VectorKeyframeTrack(
+      ".position",
+      [0, 1],
+      [0, 0, 0, 0, 1, 0]
+    );
+    clips[role] = new THREE.AnimationClip(role, 1, [track]);
+  });
+  return clips;
+}
+
+function playing(rig) {
+  return rig.activeAction.getClip().name;
+}
+
+test("moves running rigs to the gait picked when another is attached", () => {
+  const clips = createClips();
+  const locomotion = createLocomotion({ gait: "walk" });
+  const leader = locomotion.attach(
+    new THREE.AnimationMixer(new THREE.Object3D()),
+    clips
+  );
+  locomotion.update(0.1);
+  assert.equal(playing(leader), "walk");
+
+  // Retuned gaits put the current speed in the trot band, which plays the
+  // run clip
+  const follower = locomotion.attach(
+    new THREE.AnimationMixer(new THREE.Object3D()),
+    clips,
+    { walk: { speed: 1 }, trot: { speed: 2 } },
+    { phase: 0.5 }
+  );
+  locomotion.update(0.1);
+  assert.equal(locomotion.gait, "trot");
+  assert.equal(playing(follower), "run");
+  assert.equal(playing(leader), "run");
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bakeStops,
+  createSlotRing,
+  sampleStops,
+  slotRuns,
+  tickEmission,
+} from "../src/particles.js";
+
+const STEP = 1 / 60;
+
+test("emits once per whole interval across steps", () => {
+  const clock = { timer: 0 };
+  const counts = [];
+  for (let i = 0; i < 6; i++) {
+    counts.push(tickEmission(clock, STEP, 0.04, () => {}));
+  }
+  // 0.04 s is 2.4 steps: the emissions land on steps 3 and 5
+  assert.deepEqual(counts, [0, 0, 1, 0, 1, 0]);
+});
+
+test("emits several times in a step longer than the interval", () => {
+  const clock = { timer: 0 };
+  const lags = [];
+  const count = tickEmission(clock, 0.105, 0.02, (lag) => lags.push(lag));
+  assert.equal(count, 5);
+  // Oldest first, each one interval later than the one before
+  lags.forEach((lag, i) =>
+    assert.ok(Math.abs(lag - (0.085 - i * 0.02)) < 1e-9)
+  );
+  assert.ok(clock.timer < 0.02);
+});
+
+test("keeps the emission rate independent of the step size", () => {
+  const total = (delta) => {
+    const clock = { timer: 0 };
+    let count = 0;
+    for (let time = 0; time < 10 - 1e-9; time += delta) {
+      count += tickEmission(clock, delta, 0.02, () => {});
+    }
+    return count;
+  };
+  for (const delta of [1 / 30, 1 / 60, 1 / 144]) {
+    assert.ok(Math.abs(total(delta) - 500) <= 1, `step ${delta}`);
+  }
+});
+
+test("splits upload runs where the ring wraps", () => {
+  assert.deepEqual(slotRuns(2, 3, 10), [[2, 3]]);
+  assert.deepEqual(slotRuns(8, 5, 10), [
+    [8, 2],
+    [0, 3],
+  ]);
+  assert.deepEqual(slotRuns(4, 25, 10), [
+    [4, 6],
+    [0, 4],
+  ]);
+  assert.deepEqual(slotRuns(0, 0, 10), []);
+});
+
+test("reuses the oldest slots and reports only fresh ones", () => {
+  const ring = createSlotRing(4);
+  const claimed = [];
+  for (let i = 0; i < 6; i++) claimed.push(ring.claim());
+  assert.deepEqual(claimed, [0, 1, 2, 3, 0, 1]);
+  // More claims than slots: the whole ring is fresh
+  assert.deepEqual(ring.takePending(), [[0, 4]]);
+  assert.deepEqual(ring.takePending(), []);
+  ring.claim();
+  assert.deepEqual(ring.takePending(), [[2, 1]]);
+});
+
+test("restarts at the first slot when the ring shrinks under it", () => {
+  const ring = createSlotRing(8);
+  for (let i = 0; i < 6; i++) ring.claim();
+  ring.takePending();
+  ring.capacity = 4;
+  assert.equal(ring.claim(), 0);
+  assert.deepEqual(ring.takePending(), [[0, 1]]);
+});
+
+test("interpolates stops and holds their end values", () => {
+  const stops = [
+    [0.5, 2],
+    [0, 1],
+    [1, 0],
+  ];
+  const read = (stop) => [stop[1]];
+  assert.deepEqual(sampleStops(stops, 0.25, read), [1.5]);
+  assert.deepEqual(sampleStops(stops, 0.75, read), [1]);
+  assert.deepEqual(sampleStops([[0.2, 3]], 0, read), [3]);
+  assert.deepEqual(sampleStops([[0.2, 3]], 1, read), [3]);
+});
+
+test("bakes an alpha curve that decays to nothing over a life", () => {
+  const alpha = bakeStops(
+    [
+      [0, 1],
+      [0.6, 0.6],
+      [1, 0],
+    ],
+    16,
+    (stop) => [stop[1]]
+  ).map(([value]) => value);
+  assert.equal(alpha.length, 16);
+  assert.equal(alpha[0], 1);
+  assert.equal(alpha[15], 0);
+  alpha.slice(1).forEach((value, i) => assert.ok(value <= alpha[i]));
+});
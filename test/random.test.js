@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRandom, parseSeed } from "../src/random.js";
+
+test("uses integer seeds as they are and hashes other strings", () => {
+  assert.equal(parseSeed("1234"), 1234);
+  assert.equal(parseSeed(1234), 1234);
+  assert.equal(parseSeed("meadow"), parseSeed("meadow"));
+  assert.notEqual(parseSeed("meadow"), parseSeed("forest"));
+});
+
+test("gives different non-integer seeds different streams", () => {
+  const first = createRandom(parseSeed(1.5));
+  const second = createRandom(parseSeed(2.5));
+  assert.notEqual(parseSeed(1.5), parseSeed(2.5));
+  assert.notEqual(first(), second());
+  assert.equal(parseSeed(1.5), parseSeed("1.5"));
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createSky } from "../src/sky.js";
+import { createRandom } from "../src/random.js";
+
+function createSetup(options = {}) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000510);
+  scene.fog = new THREE.Fog(0x000510, 10, 50);
+  const ambientLight = new THREE.AmbientLight(0x00ffff, 0.3);
+  const keyLight = new THREE.DirectionalLight(0x00cccc, 1);
+  const sky = createSky({
+    scene,
+    colorUniforms: {
+      uAccentColor: { value: new THREE.Color(0x72bcc6) },
+      uTime: { value: 0 },
+      uPointScale: { value: 1 },
+    },
+    ambientLight,
+    keyLight,
+    theme: {
+      colors: {
+        background: new THREE.Color(0x000510),
+        fog: new THREE.Color(0x000510),
+      },
+    },
+    weather: { state: { fogNear: 10, fogFar: 50 } },
+    random: createRandom(7),
+    stars: 100,
+    ...options,
+  });
+  return { scene, ambientLight, keyLight, sky };
+}
+
+test("keeps the theme's night look at midnight", () => {
+  const { scene, ambientLight, keyLight, sky } = createSetup();
+  assert.equal(sky.daylight, 0);
+  assert.equal(scene.background.getHex(), 0x000510);
+  assert.equal(scene.fog.near, 10);
+  assert.equal(scene.fog.far, 50);
+  assert.equal(ambientLight.intensity, 0.3);
+  // The moon is up and lights the scene from above
+  assert.ok(keyLight.intensity > 0);
+  assert.ok(keyLight.position.y > 0);
+});
+
+test("brightens the sky and pushes the fog back at noon", () => {
+  const { scene, ambientLight, keyLight, sky } = createSetup({ time: 12 });
+  assert.equal(sky.daylight, 1);
+  assert.ok(scene.background.b > 0.1);
+  assert.ok(scene.fog.far > 50);
+  assert.ok(ambientLight.intensity > 0.3);
+  assert.equal(keyLight.intensity, 0);
+});
+
+test("stays put while frozen and runs a day in dayLength seconds", () => {
+  const { sky } = createSetup({ time: 3, dayLength: 240 });
+  sky.update(10);
+  assert.equal(sky.time, 3);
+
+  sky.resume();
+  sky.update(60);
+  assert.ok(Math.abs(sky.time - 9) < 1e-9);
+  sky.update(240);
+  assert.ok(Math.abs(sky.time - 9) < 1e-9);
+
+  sky.freeze(22);
+  sky.update(60);
+  assert.equal(sky.time, 22);
+  sky.setTime(-2);
+  assert.equal(sky.time, 22);
+});
@@ -0,0 +1,372 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { JSDOM } from "jsdom";
+import * as THREE from "three";
+import { CAMERA_MODES } from "../src/camera.js";
+import { createHologram } from "../src/hologram.js";
+import { createRandom } from "../src/random.js";
+import { createRipples } from "../src/ripples.js";
+import { createTerrain } from "../src/terrain.js";
+import { createTrail } from "../src/trail.js";
+import { createTrampleField } from "../src/trample.js";
+
+// Stands in for WebGLRenderer: records what would have been drawn and checks
+// that no uniform handed to a shader has gone bad
+function createStubRenderer() {
+  let target = null;
+  const frames = [];
+
+  function checkUniforms(material) {
+    Object.entries(material.uniforms ?? {}).forEach(([name, { value }]) => {
+      const numbers =
+        typeof value === "number"
+          ? [value]
+          : Array.isArray(value)
+            ? value.flatMap((item) => item.toArray?.() ?? [item])
+            : (value?.toArray?.() ?? []);
+      numbers.forEach((number) =>
+        assert.ok(Number.isFinite(number), `${name} is ${number}`)
+      );
+    });
+  }
+
+  return {
+    frames,
+    getRenderTarget: () => target,
+    setRenderTarget: (value) => (target = value),
+    render(scene, camera) {
+      const drawn = [];
+      scene.traverse((object) => {
+        if (!object.material) return;
+        checkUniforms(object.material);
+        drawn.push(object);
+      });
+      frames.push({ target, drawn, eye: camera.position.clone() });
+    },
+  };
+}
+
+// A deer reduced to what the subsystems look at: a mesh and foot bones
+function createStandIn() {
+  const deer = new THREE.Group();
+  deer.add(new THREE.Mesh(new THREE.BoxGeometry(1, 1, 2)));
+  ["toeTip_front_l", "toeTip_back_r"].forEach((name, i) => {
+    const bone = new THREE.Bone();
+    bone.name = name;
+    bone.position.set(i ? 0.3 : -0.3, 0.05, i ? -0.8 : 0.8);
+    deer.add(bone);
+  });
+  return deer;
+}
+
+test("steps and renders the meadow subsystems for a few frames", () => {
+  const renderer = createStubRenderer();
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera();
+  const colorUniforms = {
+    uAccentColor: { value: new THREE.Color(0x72bcc6) },
+    uTime: { value: 0 },
+    uPointScale: { value: 1 },
+  };
+  const period = 24;
+
+  const terrain = createTerrain({ size: period, random: createRandom(1) });
+  const ripples = createRipples({ period });
+  const trample = createTrampleField({ renderer, period });
+  const trail = createTrail({
+    colorUniforms,
+    maxParticles: 2000,
+    random: createRandom(2),
+  });
+  const hologram = createHologram({ colorUniforms });
+  scene.add(trail.points);
+
+  const deer = createStandIn();
+  scene.add(deer);
+  hologram.apply(deer);
+  hologram.materialize(deer, { duration: 0.05 });
+  trample.track(deer);
+  const emitter = trail.createEmitter();
+  trail.attach(emitter, deer, [
+    { rate: 30, count: 5 },
+    { bone: /toeTip/, rate: 10, count: 2 },
+  ]);
+
+  const scroll = new THREE.Vector2();
+  const delta = 1 / 60;
+  let time = 0;
+  for (let frame = 0; frame < 10; frame++) {
+    time += delta;
+    colorUniforms.uTime.value = time;
+    scroll.y += 8 * delta;
+    hologram.update(delta);
+    deer.position.y = 0.5 + terrain.heightAt(scroll.x, scroll.y);
+    deer.updateMatrixWorld();
+
+    trail.update(delta, time);
+    trail.emit(emitter, delta, time, 8);
+    trail.flush();
+    trample.update(delta, scroll);
+    ripples.update(time, scroll);
+    renderer.render(scene, camera);
+  }
+
+  const screen = renderer.frames.filter((frame) => frame.target === null);
+  const offscreen = renderer.frames.filter((frame) => frame.target !== null);
+  assert.equal(screen.length, 10);
+  assert.equal(offscreen.length, 10);
+  assert.ok(screen.every((frame) => frame.drawn.includes(trail.points)));
+
+  // The deer materialized and the trail has particles in flight
+  const [material] = hologram.apply(createStandIn());
+  assert.equal(deer.children[0].material.uniforms.uReveal.value, 1);
+  assert.equal(material.uniforms.uReveal.value, 0);
+  const births = trail.points.geometry.attributes.aBirth.array;
+  const alive = births.filter((birth) => birth > 0).length;
+  // 30 bursts of 5 per second from the body, 10 of 2 per second per hoof
+  assert.ok(
+    Math.abs(alive - (1 / 6) * (30 * 5 + 2 * 10 * 2)) <= 10,
+    `${alive}`
+  );
+  assert.ok(ripples.count > 0);
+
+  trail.dispose();
+  trample.dispose();
+  terrain.dispose();
+  hologram.dispose();
+});
+
+// === The whole scene ===
+// createPatronusScene in a DOM from jsdom, drawing through the stub renderer
+// and loading a stand-in deer, so the real frame loop runs headless
+
+// The page maps "jsm/" to three's examples through its importmap; Node gets
+// the same mapping from a resolve hook
+register(
+  "data:text/javascript," +
+    encodeURIComponent(`
+      export function resolve(specifier, context, next) {
+        return specifier.startsWith("jsm/")
+          ? next("three/examples/" + specifier, context)
+          : next(specifier, context);
+      }
+    `)
+);
+
+function installDom() {
+  const { window } = new JSDOM("<!doctype html><body></body>", {
+    pretendToBeVisual: true,
+    url: "http://localhost/",
+  });
+  class ResizeObserver {
+    observe() {}
+    disconnect() {}
+  }
+  Object.assign(globalThis, {
+    window,
+    document: window.document,
+    getComputedStyle: window.getComputedStyle.bind(window),
+    requestAnimationFrame: window.requestAnimationFrame.bind(window),
+    cancelAnimationFrame: window.cancelAnimationFrame.bind(window),
+    CustomEvent: window.CustomEvent,
+    ResizeObserver,
+  });
+  if (!globalThis.navigator) globalThis.navigator = window.navigator;
+  return window;
+}
+
+// What the scene asks of a WebGLRenderer, on top of the stub above
+function createSceneRenderer() {
+  const renderer = createStubRenderer();
+  let pixelRatio = 1;
+  const size = new THREE.Vector2(1, 1);
+  return Object.assign(renderer, {
+    domElement: document.createElement("canvas"),
+    capabilities: { maxTextureSize: 4096 },
+    toneMappingExposure: 1,
+    disposed: false,
+    setSize: (width, height) => size.set(width, height),
+    getSize: (target) => target.copy(size),
+    setPixelRatio: (value) => (pixelRatio = value),
+    getPixelRatio: () => pixelRatio,
+    getDrawingBufferSize: (target) =>
+      target.copy(size).multiplyScalar(pixelRatio).floor(),
+    dispose: () => (renderer.disposed = true),
+    forceContextLoss() {},
+  });
+}
+
+// Serves the stag's clips on the stand-in; resolves only when `release()`
+// is called, as a slow download would
+function createDeferredLoader() {
+  let release;
+  const ready = new Promise((resolve) => (release = resolve));
+  const animations = ["IdleDeer", "Walkdeer", "Rundeer"].map(
+    (name) =>
+      new THREE.AnimationClip(name, 1, [
+        new THREE.VectorKeyframeTrack(
+          ".position",
+          [0, 0.5, 1],
+          [0, 0, 0, 0, 0.1, 0, 0, 0, 0]
+        ),
+      ])
+  );
+  return {
+    release,
+    loadAsync: () => ready.then(() => ({ scene: createStandIn(), animations })),
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Builds a small scene in a fresh page; the page and the scene are torn down
+// after the test, so a failed assertion does not leave the loop running
+async function bootScene(t, options = {}) {
+  const window = installDom();
+  t.after(() => window.close());
+  const { createPatronusScene } = await import("../src/scene.js");
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const renderer = createSceneRenderer();
+  const loader = createDeferredLoader();
+
+  const patronus = createPatronusScene(container, {
+    seed: 7,
+    renderer,
+    loader,
+    herd: 3,
+    grassBlades: 500,
+    trailParticles: 2000,
+    patronusTest: false,
+    ...options,
+  });
+  t.after(() => patronus.dispose());
+  return { patronus, container, renderer, loader };
+}
+
+test("runs createPatronusScene's frame loop against the stub renderer", async (t) => {
+  const { patronus, container, renderer, loader } = await bootScene(t);
+  assert.equal(patronus.seed, 7);
+  assert.equal(patronus.quality.auto, false);
+
+  // Frames are drawn while the deer downloads, but the simulation waits
+  await wait(150);
+  assert.ok(renderer.frames.length > 0);
+  assert.equal(patronus.frame, 0);
+
+  loader.release();
+  await wait(300);
+  assert.ok(patronus.frame > 0, `${patronus.frame} steps`);
+  const screen = renderer.frames.filter((frame) => frame.target === null);
+  const last = screen[screen.length - 1].drawn;
+  // The deer and two followers, each with its stand-in mesh
+  const deer = last.filter((object) => object.geometry?.type === "BoxGeometry");
+  assert.equal(deer.length, 3);
+  assert.ok(deer.every((mesh) => Number.isFinite(mesh.parent.position.y)));
+  const trail = last.find(
+    (object) => object.isPoints && object.geometry.attributes.aBirth
+  );
+  const births = trail.geometry.attributes.aBirth.array;
+  assert.ok(births.some((birth) => birth > 0));
+
+  // A cast of an unknown animal rejects and leaves the herd in view
+  await assert.rejects(patronus.test.cast("unicorn"), /^Error: Unknown/);
+  assert.ok(deer.every((mesh) => mesh.parent.visible));
+
+  // Live options go through the same loop
+  await patronus.setOptions({ ground: "both", weather: "rain", herd: 1 });
+  const steps = patronus.frame;
+  await wait(150);
+  assert.ok(patronus.frame > steps);
+  assert.equal(patronus.ground.mode, "both");
+
+  patronus.dispose();
+  assert.equal(patronus.running, false);
+  assert.ok(renderer.disposed);
+  assert.equal(container.querySelector("canvas"), null);
+});
+
+test("boots in every camera mode", async (t) => {
+  for (const mode of CAMERA_MODES) {
+    await t.test(mode, async (t) => {
+      const { patronus, renderer, loader } = await bootScene(t, {
+        camera: mode,
+        herd: 1,
+      });
+      assert.equal(patronus.camera.mode, mode);
+      loader.release();
+      await wait(200);
+      assert.ok(patronus.frame > 0, `${patronus.frame} steps`);
+      const { eye } = renderer.frames[renderer.frames.length - 1];
+      assert.ok(eye.toArray().every(Number.isFinite), `${eye.toArray()}`);
+    });
+  }
+});
+
+test("boots the plain deer when the patronus is unknown", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { patronus, loader } = await bootScene(t, { patronus: "unicorn" });
+  loader.release();
+  await wait(150);
+  assert.match(warn.mock.calls[0].arguments[0], /^Unknown/);
+  assert.equal(patronus.test.animal, null);
+  assert.ok(patronus.frame > 0, `${patronus.frame} steps`);
+});
+
+test("keeps a model url and the steering keys to their own scene", async (t) => {
+  const { patronus, container, loader } = await bootScene(t, {
+    modelUrl: "models/local_deer.glb",
+    interactive: true,
+  });
+  loader.release();
+  await wait(150);
+  assert.equal(patronus.model, "models/local_deer.glb");
+  const { MODELS } = await import("../src/models.js");
+  assert.equal(MODELS["models/local_deer.glb"], undefined);
+
+  const press = (target, type) =>
+    target.dispatchEvent(
+      new window.KeyboardEvent(type, { code: "ArrowLeft", bubbles: true })
+    );
+  press(window, "keydown");
+  await wait(100);
+  assert.equal(patronus.steering.heading, 0);
+  press(window, "keyup");
+
+  press(container, "keydown");
+  await wait(100);
+  press(container, "keyup");
+  assert.ok(patronus.steering.heading > 0, `${patronus.steering.heading}`);
+});
+
+test("stands the herd on the water and switches ground modes", async (t) => {
+  const { patronus, renderer, loader } = await bootScene(t, {
+    ground: "water",
+  });
+  assert.equal(patronus.ground.mode, "water");
+  loader.release();
+  await wait(200);
+  assert.ok(patronus.frame > 0, `${patronus.frame} steps`);
+
+  const lastScreen = () =>
+    renderer.frames.filter((frame) => frame.target === null).at(-1).drawn;
+  const water = lastScreen().find((object) => object.isReflector);
+  assert.ok(water.visible);
+  const deer = lastScreen().filter(
+    (object) => object.geometry?.type === "BoxGeometry"
+  );
+  assert.ok(deer.every((mesh) => Number.isFinite(mesh.parent.position.y)));
+
+  patronus.ground.setMode("both");
+  assert.equal(patronus.ground.mode, "both");
+  assert.ok(water.visible);
+  patronus.ground.setMode("meadow");
+  assert.equal(water.visible, false);
+  assert.throws(() => patronus.ground.setMode("lava"), /^Error: Unknown/);
+  assert.equal(patronus.ground.mode, "meadow");
+
+  const steps = patronus.frame;
+  await wait(150);
+  assert.ok(patronus.frame > steps);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createThemeController, THEMES } from "../src/theme.js";
+
+function createTheme() {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000510);
+  scene.fog = new THREE.Fog(0x000510, 10, 50);
+  return createThemeController({
+    scene,
+    colorUniforms: { uAccentColor: { value: new THREE.Color(0x72bcc6) } },
+    ambientLight: new THREE.AmbientLight(0x00ffff, 0.3),
+    keyLight: new THREE.DirectionalLight(0x00cccc, 1),
+  });
+}
+
+test("applies a named palette and a partial override", () => {
+  const theme = createTheme();
+  theme.setTheme("gold");
+  assert.equal(theme.name, "gold");
+  assert.equal(theme.colors.accent.getHex(), THEMES.gold.accent);
+  theme.setTheme({ accent: 0xff0000 });
+  assert.equal(theme.name, null);
+  assert.equal(theme.colors.accent.getHex(), 0xff0000);
+  assert.equal(theme.colors.light.getHex(), THEMES.gold.light);
+});
+
+test("rejects a missing or unknown theme with the same error", () => {
+  const theme = createTheme();
+  [undefined, null, 42, "plaid"].forEach((value) =>
+    assert.throws(() => theme.setTheme(value), /^Error: Unknown theme/)
+  );
+});
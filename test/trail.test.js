@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createRandom } from "../src/random.js";
+import { createTrail } from "../src/trail.js";
+
+test("hands a released slot to the next emitter with a cleared anchor", () => {
+  const trail = createTrail({
+    colorUniforms: {
+      uAccentColor: { value: new THREE.Color(0x72bcc6) },
+      uTime: { value: 0 },
+      uPointScale: { value: 1 },
+    },
+    maxParticles: 500,
+    random: createRandom(3),
+  });
+  const anchors = trail.points.material.uniforms.uAnchors.value;
+
+  const deer = new THREE.Object3D();
+  const emitter = trail.createEmitter();
+  trail.attach(emitter, deer, [{ rate: 30, count: 1 }]);
+  for (let step = 1; step <= 5; step++) {
+    deer.position.x = step;
+    deer.updateMatrixWorld();
+    trail.emit(emitter, 1 / 60, step / 60, 0);
+  }
+  assert.ok(anchors[emitter.slot].length() > 0);
+
+  trail.releaseEmitter(emitter);
+  // A released slot queues behind the free ones
+  let next = trail.createEmitter();
+  while (next.slot !== emitter.slot) next = trail.createEmitter();
+  assert.equal(anchors[emitter.slot].length(), 0);
+  trail.dispose();
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { createRandom } from "../src/random.js";
+import { createWeather, WEATHER_PRESETS } from "../src/weather.js";
+
+function createSetup() {
+  const scene = new THREE.Scene();
+  scene.fog = new THREE.Fog(0x000510, 10, 50);
+  const weather = createWeather({
+    scene,
+    colorUniforms: { uAccentColor: { value: new THREE.Color(0x72bcc6) } },
+    maxDrops: 100,
+    random: createRandom(5),
+  });
+  return { scene, weather };
+}
+
+test("applies a preset by name and a partial override", () => {
+  const { scene, weather } = createSetup();
+  weather.setWeather("storm");
+  assert.equal(weather.name, "storm");
+  assert.deepEqual(weather.state, WEATHER_PRESETS.storm);
+  assert.equal(scene.fog.near, WEATHER_PRESETS.storm.fogNear);
+
+  weather.setWeather({ wind: 1 });
+  assert.equal(weather.name, null);
+  assert.equal(weather.state.wind, 1);
+  assert.equal(weather.state.rain, WEATHER_PRESETS.storm.rain);
+  weather.dispose();
+});
+
+test("blends toward a preset over its duration", () => {
+  const { weather } = createSetup();
+  weather.setWeather("misty", { duration: 2 });
+  weather.update(1, new THREE.Vector2());
+  const { fogFar } = weather.state;
+  assert.ok(fogFar < WEATHER_PRESETS.clear.fogFar, `${fogFar}`);
+  assert.ok(fogFar > WEATHER_PRESETS.misty.fogFar, `${fogFar}`);
+  weather.update(1, new THREE.Vector2());
+  assert.equal(weather.state.fogFar, WEATHER_PRESETS.misty.fogFar);
+  weather.dispose();
+});
+
+test("rejects an unknown, missing or null weather with the same error", () => {
+  const { weather } = createSetup();
+  ["monsoon", undefined, null, 3].forEach((value) =>
+    assert.throws(() => weather.setWeather(value), /^Error: Unknown weather/)
+  );
+  assert.equal(weather.name, "clear");
+  weather.dispose();
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { wrap, wrapCentered } from "../src/wrap.js";
+
+test("wraps into [0, period) from either side", () => {
+  assert.equal(wrap(5, 24), 5);
+  assert.equal(wrap(24, 24), 0);
+  assert.equal(wrap(30, 24), 6);
+  assert.equal(wrap(-1, 24), 23);
+  assert.equal(wrap(-48, 24), 0);
+});
+
+test("wraps grass blades into [-radius, radius)", () => {
+  const period = 24;
+  for (let value = -100; value <= 100; value += 0.75) {
+    const wrapped = wrapCentered(value, period);
+    assert.ok(wrapped >= -12 && wrapped < 12, `${value} -> ${wrapped}`);
+    // Still the same place on the tiling meadow
+    const turns = (value - wrapped) / period;
+    assert.ok(Math.abs(turns - Math.round(turns)) < 1e-9);
+  }
+});
+
+test("moves a scrolling blade smoothly until it jumps a whole period", () => {
+  const period = 24;
+  let previous = wrapCentered(3, period);
+  for (let scroll = 0.1; scroll < 60; scroll += 0.1) {
+    const current = wrapCentered(3 - scroll, period);
+    const step = previous - current;
+    assert.ok(
+      Math.abs(step - 0.1) < 1e-6 || Math.abs(step - 0.1 + period) < 1e-6,
+      `step ${step} at scroll ${scroll}`
+    );
+    previous = current;
+  }
+});
+
+test("gives the shortest offset across the meadow edge", () => {
+  assert.equal(wrapCentered(23 - 1, 24), -2);
+  assert.equal(wrapCentered(1 - 23, 24), 2);
+});